@@ -0,0 +1,190 @@
+class StorefrontAnalytics {
+  static SINK_OVERRIDE_KEY = "analyticsSink";
+
+  constructor(settings = window.analyticsSettings || {}) {
+    this.currency = settings.currency;
+    this.sinks = {
+      dataLayer: (eventName, params) => {
+        window.dataLayer = window.dataLayer || [];
+        if (params.items) window.dataLayer.push({ ecommerce: null });
+        window.dataLayer.push({ event: eventName, ecommerce: params });
+      },
+      console: (eventName, params) => {
+        console.info(`[analytics] ${eventName}`, params);
+      },
+    };
+    this.sink = this.sinks[this.getSinkName(settings.sink)];
+    this.cartItems = null;
+  }
+
+  // localStorage.analyticsSink = "console" switches sinks without touching theme settings.
+  getSinkName(sinkName) {
+    try {
+      return (
+        localStorage.getItem(StorefrontAnalytics.SINK_OVERRIDE_KEY) || sinkName
+      );
+    } catch (e) {
+      return sinkName;
+    }
+  }
+
+  // Register a custom sink, e.g. setSink((eventName, params) => gtag("event", eventName, params)).
+  setSink(sink) {
+    this.sink = typeof sink === "function" ? sink : this.sinks[sink];
+    if (this.sink && !this.cartItemsRequest) this.loadCartItems();
+  }
+
+  loadCartItems() {
+    this.cartItemsRequest = this.fetchCartItems().then((items) => {
+      this.cartItems = items;
+    });
+  }
+
+  init() {
+    if (this.sink) this.loadCartItems();
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, this.onCartUpdate.bind(this));
+    subscribe(PUB_SUB_EVENTS.cartError, this.onCartError.bind(this));
+    subscribe(PUB_SUB_EVENTS.variantChange, this.onVariantChange.bind(this));
+    subscribe(
+      PUB_SUB_EVENTS.predictiveSearch,
+      this.onPredictiveSearch.bind(this),
+    );
+    document.addEventListener("facets:change", this.onFacetsChange.bind(this));
+  }
+
+  emit(eventName, params) {
+    if (!this.sink) return;
+
+    try {
+      this.sink(eventName, params);
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  fetchCartItems() {
+    return cartClient
+      .get()
+      .then((cart) => cart.items)
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  }
+
+  toItem(lineItem, quantity = lineItem.quantity) {
+    return {
+      item_id: lineItem.sku || String(lineItem.product_id),
+      item_name: lineItem.product_title,
+      item_variant: lineItem.variant_title || undefined,
+      item_brand: lineItem.vendor,
+      item_category: lineItem.product_type || undefined,
+      price: lineItem.final_price / 100,
+      quantity,
+    };
+  }
+
+  // Compares the cart before and after an update so every source (product form,
+  // cart page, drawer) reports the units that were actually added or removed.
+  onCartUpdate(event) {
+    if (!this.sink) return;
+
+    // Only a full cart has item_count; /cart/add responses list just the
+    // lines they added, so the cart is fetched to compare against.
+    const cartData = event?.cartData;
+    const cartItems =
+      typeof cartData?.item_count === "number"
+        ? Promise.resolve(cartData.items)
+        : this.fetchCartItems();
+
+    Promise.all([cartItems, this.cartItemsRequest]).then(([items]) => {
+      const previousItems = this.cartItems;
+      if (!items) return;
+
+      this.cartItems = items;
+      if (!previousItems) return;
+
+      const added = [];
+      const removed = [];
+      const keys = new Set(
+        [...previousItems, ...items].map((lineItem) => lineItem.key),
+      );
+
+      keys.forEach((key) => {
+        const before = previousItems.find((lineItem) => lineItem.key === key);
+        const after = items.find((lineItem) => lineItem.key === key);
+        const delta = (after?.quantity || 0) - (before?.quantity || 0);
+
+        if (delta > 0) added.push(this.toItem(after, delta));
+        if (delta < 0) removed.push(this.toItem(before, -delta));
+      });
+
+      [
+        ["add_to_cart", added],
+        ["remove_from_cart", removed],
+      ].forEach(([eventName, eventItems]) => {
+        if (!eventItems.length) return;
+
+        this.emit(eventName, {
+          currency: this.currency,
+          value: eventItems.reduce(
+            (total, item) => total + item.price * item.quantity,
+            0,
+          ),
+          items: eventItems,
+        });
+      });
+    });
+  }
+
+  onCartError(event) {
+    this.emit("cart_error", {
+      source: event.source,
+      variant_id: event.productVariantId,
+      error_message: event.message || String(event.errors || ""),
+    });
+  }
+
+  onVariantChange(event) {
+    const variant = event.data.variant;
+    if (!variant) return;
+
+    this.emit("view_item", {
+      currency: this.currency,
+      value: variant.price / 100,
+      items: [
+        {
+          item_id: variant.sku || String(variant.id),
+          item_name: variant.name,
+          item_variant: variant.public_title || undefined,
+          price: variant.price / 100,
+          quantity: 1,
+        },
+      ],
+    });
+  }
+
+  onFacetsChange() {
+    const searchParams = new URLSearchParams(window.location.search);
+    const filters = Array.from(searchParams.entries()).filter(([key]) =>
+      key.startsWith("filter."),
+    );
+
+    this.emit("apply_filters", {
+      item_list_id: window.location.pathname,
+      filters: filters.map(([key, value]) => `${key}=${value}`).join("&"),
+      sort_by: searchParams.get("sort_by") || undefined,
+    });
+  }
+
+  onPredictiveSearch(event) {
+    this.emit("search", {
+      search_term: event.searchTerm,
+      search_type: "predictive",
+    });
+  }
+}
+
+window.storefrontAnalytics = new StorefrontAnalytics();
+window.storefrontAnalytics.init();
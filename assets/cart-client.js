@@ -0,0 +1,158 @@
+// Single entry point for cart requests. Requests run one at a time in the
+// order they were made, so section HTML is never rendered out of order.
+class CartClient {
+  static MAX_RETRIES = 3;
+  static RETRY_DELAY = 500;
+
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+    this.lastUpdate = null;
+  }
+
+  get(url = `${routes.cart_url}.js`, options = {}) {
+    return this.enqueue(url, { method: "GET" }, options);
+  }
+
+  add(body, options = {}) {
+    return this.enqueue(routes.cart_add_url, this.getConfig(body), options);
+  }
+
+  change(body, options = {}) {
+    return this.enqueue(routes.cart_change_url, this.getConfig(body), options);
+  }
+
+  update(body, options = {}) {
+    return this.enqueue(routes.cart_update_url, this.getConfig(body), options);
+  }
+
+  // Adds lines one request at a time, so a line that has sold out doesn't
+  // stop the rest. Resolves with the lines that couldn't be added.
+  async addEach(items, options = {}) {
+    const failed = [];
+
+    for (const item of items) {
+      try {
+        const response = await this.add(
+          {
+            items: [
+              {
+                id: item.id,
+                quantity: item.quantity,
+                properties: item.properties || {},
+              },
+            ],
+          },
+          {
+            ...options,
+            payload: { ...options.payload, productVariantId: String(item.id) },
+          },
+        );
+        if (response.status) failed.push(item);
+      } catch (e) {
+        console.error(e);
+        failed.push(item);
+      }
+    }
+
+    return failed;
+  }
+
+  getConfig(body) {
+    if (body instanceof FormData) {
+      const config = fetchConfig("javascript");
+      config.headers["X-Requested-With"] = "XMLHttpRequest";
+      delete config.headers["Content-Type"];
+      return { ...config, body };
+    }
+
+    return { ...fetchConfig(), body: JSON.stringify(body) };
+  }
+
+  // Options:
+  // - key: a queued request with the same key is replaced by this one and both
+  //   callers get the same response. Requests without a key are never merged,
+  //   so two identical adds still add twice.
+  // - source, payload: mark the request as a cart change. Once the queue is
+  //   empty, cartUpdate is published once with the last change's response.
+  // - responseType: "json" (default) or "text".
+  enqueue(url, config, options = {}) {
+    const key = options.key;
+    const queued = key && this.queue.find((request) => request.key === key);
+
+    if (queued) {
+      Object.assign(queued, { url, config, options });
+      return queued.promise;
+    }
+
+    const request = { key, url, config, options };
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+
+    this.queue.push(request);
+    this.processQueue();
+
+    return request.promise;
+  }
+
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    while (this.queue.length) {
+      const request = this.queue.shift();
+
+      try {
+        const data = await this.send(request);
+        const failed =
+          data && typeof data === "object" && (data.status || data.errors);
+
+        if (request.options.source && !failed) {
+          this.lastUpdate = { options: request.options, data };
+        }
+        request.resolve(data);
+      } catch (e) {
+        request.reject(e);
+      }
+    }
+
+    this.processing = false;
+    // Callers often queue a follow-up request in their response handlers;
+    // wait for those before deciding the cart has settled.
+    setTimeout(() => this.publishUpdate());
+  }
+
+  publishUpdate() {
+    if (this.processing || this.queue.length || !this.lastUpdate) return;
+
+    const { options, data } = this.lastUpdate;
+    this.lastUpdate = null;
+
+    publish(PUB_SUB_EVENTS.cartUpdate, {
+      ...options.payload,
+      source: options.source,
+      cartData: data,
+    });
+  }
+
+  async send(request, attempt = 0) {
+    const response = await fetch(request.url, request.config);
+
+    if (response.status === 429 && attempt < CartClient.MAX_RETRIES) {
+      const retryAfter =
+        parseFloat(response.headers.get("Retry-After")) * 1000 ||
+        CartClient.RETRY_DELAY * 2 ** attempt;
+
+      await new Promise((resolve) => setTimeout(resolve, retryAfter));
+      return this.send(request, attempt + 1);
+    }
+
+    return request.options.responseType === "text"
+      ? response.text()
+      : response.json();
+  }
+}
+
+window.cartClient = new CartClient();
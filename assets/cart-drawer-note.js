@@ -12,10 +12,10 @@ class DrawerCartNote extends HTMLElement {
     this.addEventListener(
       "change",
       debounce((event) => {
-        const body = JSON.stringify({
-          note: document.getElementById("CartDrawer-note").value,
-        });
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } });
+        cartClient.update(
+          { note: document.getElementById("CartDrawer-note").value },
+          { key: "cart-note" },
+        );
       }, ON_CHANGE_DEBOUNCE_TIMER),
     );
 
@@ -44,10 +44,10 @@ class DrawerCartNote extends HTMLElement {
   }
 
   onSave() {
-    const body = JSON.stringify({
-      note: document.getElementById("CartDrawer-note").value,
-    });
-    fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } });
+    cartClient.update(
+      { note: document.getElementById("CartDrawer-note").value },
+      { key: "cart-note" },
+    );
     this.onToggle();
   }
 
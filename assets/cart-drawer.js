@@ -139,6 +139,16 @@ class CartDrawerSection extends HTMLElement {
     });
   }
 
+  // Renders the drawer from the current cart and opens it, for changes made
+  // without a section response, e.g. several lines added one at a time.
+  refreshContents() {
+    const sections = this.getSectionsToRender().map((section) => section.id);
+
+    return cartClient
+      .get(`${routes.cart_url}?sections=${sections.join(",")}`)
+      .then((response) => this.renderContents({ sections: response }));
+  }
+
   getSectionInnerHTML(html, selector = ".shopify-section") {
     return new DOMParser()
       .parseFromString(html, "text/html")
@@ -0,0 +1,171 @@
+if (!customElements.get("cart-quote")) {
+  customElements.define(
+    "cart-quote",
+    class CartQuote extends HTMLElement {
+      constructor() {
+        super();
+
+        this.template = this.querySelector("template");
+        this.button = this.querySelector(".js-cart-quote-print");
+
+        this.button.addEventListener("click", this.print.bind(this));
+      }
+
+      async print() {
+        if (this.button.getAttribute("aria-disabled") === "true") return;
+        this.button.setAttribute("aria-disabled", true);
+
+        try {
+          const cartData = await cartClient.get();
+          const quoteDocument = await this.renderQuote(cartData);
+
+          CartQuote.cleanUp();
+          document.body.append(quoteDocument);
+          document.body.classList.add("is-printing-quote");
+          window.addEventListener("afterprint", CartQuote.cleanUp, {
+            once: true,
+          });
+          window.print();
+        } catch (e) {
+          console.error(e);
+        } finally {
+          this.button.removeAttribute("aria-disabled");
+        }
+      }
+
+      static cleanUp() {
+        document.body.classList.remove("is-printing-quote");
+        document
+          .querySelectorAll("body > .cart-quote-document")
+          .forEach((element) => element.remove());
+      }
+
+      // Derived from the cart's lines, so printing the same cart on the same
+      // day gives the same reference.
+      getReference(cartData, date) {
+        const source = [
+          cartData.token,
+          ...cartData.items.map((item) => `${item.key}:${item.quantity}`),
+        ].join("|");
+        let hash = 0;
+
+        for (const char of source) {
+          hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+
+        return `Q-${date.toISOString().slice(0, 10).replace(/-/g, "")}-${hash
+          .toString(36)
+          .toUpperCase()
+          .padStart(6, "0")
+          .slice(-6)}`;
+      }
+
+      getTaxBreakdown(totalPrice) {
+        const { rate = 10, taxesIncluded = true } = window.taxSettings || {};
+
+        if (taxesIncluded) {
+          const gst = Math.round((totalPrice * rate) / (100 + rate));
+          return { subtotal: totalPrice - gst, gst, total: totalPrice };
+        }
+
+        const gst = Math.round((totalPrice * rate) / 100);
+        return { subtotal: totalPrice, gst, total: totalPrice + gst };
+      }
+
+      async getSilverchefText(cartData) {
+        const amount = cartData.total_price / 100;
+
+        if (
+          this.dataset.showSilverchef !== "true" ||
+          typeof createSilverchefProvider === "undefined" ||
+          amount < parseFloat(this.dataset.silverchefMinAmount)
+        ) {
+          return "";
+        }
+
+        const provider = createSilverchefProvider();
+        const terms = provider.getTerms();
+        const term = parseInt(cartData.attributes?.[SILVERCHEF_TERM_ATTRIBUTE]);
+
+        try {
+          const quote = await provider.quote(
+            amount,
+            terms.includes(term) ? term : terms[0],
+          );
+          return this.dataset.silverchefText
+            .replace("[amount]", quote.weekly_amount)
+            .replace("[term]", quote.term);
+        } catch (e) {
+          console.error(e);
+          return "";
+        }
+      }
+
+      async renderQuote(cartData) {
+        const quoteDocument =
+          this.template.content.firstElementChild.cloneNode(true);
+        const field = (name) =>
+          quoteDocument.querySelector(`[data-quote-field="${name}"]`);
+        const date = new Date();
+        const validUntil = new Date(date);
+        const dateFormat = new Intl.DateTimeFormat(
+          document.documentElement.lang || undefined,
+          { dateStyle: "long" },
+        );
+        const totals = this.getTaxBreakdown(cartData.total_price);
+
+        validUntil.setDate(
+          date.getDate() + (parseInt(this.dataset.validityDays) || 30),
+        );
+
+        field("reference").textContent = this.getReference(cartData, date);
+        field("date").textContent = dateFormat.format(date);
+        field("validUntil").textContent = dateFormat.format(validUntil);
+
+        field("lines").replaceChildren(
+          ...cartData.items.map((item) => {
+            const row = document.createElement("tr");
+
+            [
+              item.title,
+              item.sku || "",
+              item.quantity,
+              formatMoney(item.final_price),
+              formatMoney(item.final_line_price),
+            ].forEach((value) => {
+              const cell = document.createElement("td");
+              cell.textContent = value;
+              row.append(cell);
+            });
+
+            return row;
+          }),
+        );
+
+        if (cartData.total_discount > 0) {
+          field("discount").textContent = `-${formatMoney(
+            cartData.total_discount,
+          )}`;
+        } else {
+          quoteDocument.querySelector('[data-quote-row="discount"]').remove();
+        }
+
+        field("subtotal").textContent = formatMoney(totals.subtotal);
+        field("gst").textContent = formatMoney(totals.gst);
+        field("total").textContent = formatMoney(
+          totals.total,
+          window.moneyFormats?.moneyWithCurrency,
+        );
+
+        const silverchefText = await this.getSilverchefText(cartData);
+        if (silverchefText) {
+          field("silverchef").textContent = silverchefText;
+        } else {
+          field("silverchef").remove();
+        }
+
+        return quoteDocument;
+      }
+    },
+  );
+}
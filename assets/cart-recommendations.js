@@ -0,0 +1,90 @@
+if (!customElements.get("cart-recommendations")) {
+  customElements.define(
+    "cart-recommendations",
+    class CartRecommendations extends HTMLElement {
+      // The drawer is re-rendered after every cart change. Keeping the last
+      // rail per product shows it straight away while cartUpdate refreshes it.
+      static cache = new Map();
+      static pendingRequests = new Map();
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        const productId = this.dataset.productId;
+
+        if (CartRecommendations.cache.has(productId)) {
+          this.render(CartRecommendations.cache.get(productId));
+        } else {
+          this.load(productId);
+        }
+
+        this.cartUpdateUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartUpdate,
+          this.onCartUpdate.bind(this),
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      onCartUpdate(event) {
+        const cartData = event.cartData || {};
+        // /cart/add answers with the added line(s), other requests with the
+        // cart, which lists the most recently added line first.
+        const productId =
+          cartData.product_id || cartData.items?.[0]?.product_id || "";
+
+        this.dataset.productId = productId;
+        this.load(String(productId));
+      }
+
+      load(productId) {
+        if (!productId) {
+          this.render("");
+          return;
+        }
+
+        CartRecommendations.fetchContent(this.dataset.url, productId)
+          .then((content) => {
+            if (this.dataset.productId === productId) this.render(content);
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      // A drawer re-rendered by a cart change and the cartUpdate that follows
+      // ask for the same product; they share one request.
+      static fetchContent(url, productId) {
+        if (!CartRecommendations.pendingRequests.has(productId)) {
+          const request = fetch(`${url}&product_id=${productId}`)
+            .then((response) => response.text())
+            .then((text) => {
+              const recommendations = new DOMParser()
+                .parseFromString(text, "text/html")
+                .querySelector("cart-recommendations");
+              const content = recommendations?.innerHTML.trim() || "";
+
+              CartRecommendations.cache.set(productId, content);
+              return content;
+            })
+            .finally(() => {
+              CartRecommendations.pendingRequests.delete(productId);
+            });
+
+          CartRecommendations.pendingRequests.set(productId, request);
+        }
+
+        return CartRecommendations.pendingRequests.get(productId);
+      }
+
+      render(content) {
+        this.innerHTML = content;
+        this.hidden = !this.querySelector(".cart-recommendations__item");
+      }
+    },
+  );
+}
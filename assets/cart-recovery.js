@@ -0,0 +1,227 @@
+if (!customElements.get("cart-recovery")) {
+  customElements.define(
+    "cart-recovery",
+    class CartRecovery extends HTMLElement {
+      static STORAGE_KEY = "cartSnapshot";
+      static SESSION_KEY = "cartRecoveryChecked";
+
+      cartUpdateUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.itemsList = this.querySelector(".js-cart-recovery-items");
+        this.dateElement = this.querySelector(".js-cart-recovery-date");
+        this.errorElement = this.querySelector(".js-cart-recovery-error");
+        this.restoreButton = this.querySelector(".js-cart-recovery-restore");
+
+        this.onCheckoutClick = this.onCheckoutClick.bind(this);
+        this.restoreButton.addEventListener("click", this.restore.bind(this));
+        this.querySelector(".js-cart-recovery-dismiss").addEventListener(
+          "click",
+          this.dismiss.bind(this),
+        );
+      }
+
+      connectedCallback() {
+        this.cartUpdateUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartUpdate,
+          this.onCartUpdate.bind(this),
+        );
+        document.addEventListener("click", this.onCheckoutClick, true);
+        this.clearCheckedOutSnapshot();
+        this.checkSnapshot();
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+        document.removeEventListener("click", this.onCheckoutClick, true);
+      }
+
+      // Newer cart tokens carry a "?key=" suffix that isn't always present,
+      // so only the part identifying the cart is compared.
+      static getCartId(token) {
+        return (token || "").split("?")[0];
+      }
+
+      static getSnapshot() {
+        try {
+          return JSON.parse(localStorage.getItem(CartRecovery.STORAGE_KEY));
+        } catch (e) {
+          return null;
+        }
+      }
+
+      static saveSnapshot(cartData) {
+        localStorage.setItem(
+          CartRecovery.STORAGE_KEY,
+          JSON.stringify({
+            savedAt: Date.now(),
+            cartId: CartRecovery.getCartId(cartData.token),
+            items: cartData.items.map((item) => ({
+              variantId: item.variant_id,
+              quantity: item.quantity,
+              properties: item.properties || {},
+              title: item.product_title,
+              variantTitle: item.product_has_only_default_variant
+                ? ""
+                : item.variant_title,
+            })),
+          }),
+        );
+      }
+
+      onCartUpdate(event) {
+        const cartData = event.cartData;
+        const cart =
+          typeof cartData?.item_count === "number"
+            ? Promise.resolve(cartData)
+            : cartClient.get();
+
+        cart
+          .then((cartData) => {
+            // An emptied cart keeps the last snapshot so it can be offered
+            // back in a later session.
+            if (!cartData.item_count) return;
+
+            CartRecovery.saveSnapshot(cartData);
+            if (event.source !== "cart-recovery") this.hidden = true;
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      onCheckoutClick(event) {
+        if (
+          !event.target.closest(
+            '[name="checkout"], .additional-checkout-buttons',
+          )
+        ) {
+          return;
+        }
+
+        const snapshot = CartRecovery.getSnapshot();
+        if (!snapshot) return;
+
+        localStorage.setItem(
+          CartRecovery.STORAGE_KEY,
+          JSON.stringify({ ...snapshot, checkoutStarted: true }),
+        );
+      }
+
+      // Completing checkout gives the visitor a new cart. A snapshot taken
+      // to checkout whose cart has since been replaced was ordered, so it
+      // isn't offered back. A cart that simply expired keeps its snapshot.
+      clearCheckedOutSnapshot() {
+        const snapshot = CartRecovery.getSnapshot();
+
+        if (
+          snapshot?.checkoutStarted &&
+          snapshot.cartId !== CartRecovery.getCartId(this.dataset.cartToken)
+        ) {
+          localStorage.removeItem(CartRecovery.STORAGE_KEY);
+        }
+      }
+
+      // The banner is offered once per browser session, to visitors who
+      // arrive with an empty cart and a snapshot that hasn't expired.
+      checkSnapshot() {
+        if (sessionStorage.getItem(CartRecovery.SESSION_KEY)) return;
+        sessionStorage.setItem(CartRecovery.SESSION_KEY, "true");
+
+        const snapshot = CartRecovery.getSnapshot();
+        const maxAge = parseInt(this.dataset.maxAgeDays) * 24 * 60 * 60 * 1000;
+
+        if (parseInt(this.dataset.itemCount) > 0 || !snapshot?.items?.length) {
+          return;
+        }
+        if (Date.now() - snapshot.savedAt > maxAge) {
+          localStorage.removeItem(CartRecovery.STORAGE_KEY);
+          return;
+        }
+
+        this.render(snapshot);
+      }
+
+      render(snapshot) {
+        this.dateElement.textContent = new Intl.DateTimeFormat(
+          document.documentElement.lang || undefined,
+          { dateStyle: "medium", timeStyle: "short" },
+        ).format(new Date(snapshot.savedAt));
+
+        this.itemsList.replaceChildren(
+          ...snapshot.items.map((item) => {
+            const element = document.createElement("li");
+            element.textContent = `${item.quantity} × ${item.title}${
+              item.variantTitle ? ` – ${item.variantTitle}` : ""
+            }`;
+            return element;
+          }),
+        );
+
+        this.hidden = false;
+      }
+
+      dismiss() {
+        localStorage.removeItem(CartRecovery.STORAGE_KEY);
+        this.hidden = true;
+      }
+
+      async restore() {
+        const snapshot = CartRecovery.getSnapshot();
+        if (!snapshot || this.restoreButton.hasAttribute("aria-disabled")) {
+          return;
+        }
+
+        this.errorElement.textContent = "";
+        this.restoreButton.setAttribute("aria-disabled", true);
+
+        let unavailable;
+        try {
+          unavailable = (
+            await cartClient.addEach(
+              snapshot.items.map((item) => ({ ...item, id: item.variantId })),
+              { source: "cart-recovery" },
+            )
+          ).map((item) => item.title);
+        } catch (e) {
+          console.error(e);
+          this.errorElement.textContent = window.cartStrings.error;
+          return;
+        } finally {
+          this.restoreButton.removeAttribute("aria-disabled");
+        }
+
+        if (unavailable.length) {
+          this.errorElement.textContent = this.dataset.unavailableText.replace(
+            "[items]",
+            unavailable.join(", "),
+          );
+          this.restoreButton.hidden = true;
+        } else {
+          this.hidden = true;
+        }
+
+        if (unavailable.length < snapshot.items.length) {
+          this.showCart(!unavailable.length);
+        }
+      }
+
+      showCart(navigate) {
+        const cartDrawer = document.querySelector("cart-drawer");
+
+        if (cartDrawer?.cartType !== "drawer" || cartDrawer.isCartPage) {
+          if (navigate) window.location = window.routes.cart_url;
+          return;
+        }
+
+        cartDrawer.refreshContents().catch((e) => {
+          console.error(e);
+        });
+      }
+    },
+  );
+}
@@ -0,0 +1,245 @@
+if (!customElements.get("cart-import")) {
+  customElements.define(
+    "cart-import",
+    class CartImport extends HTMLElement {
+      // Shared carts travel in the cart page URL as base64url-encoded JSON:
+      // { v: 1, items: [{ id, quantity, properties?, title }] }
+      static PARAM = "shared_cart";
+
+      static encode(cartData) {
+        const json = JSON.stringify({
+          v: 1,
+          items: cartData.items.map((item) => ({
+            id: item.variant_id,
+            quantity: item.quantity,
+            ...(item.properties && Object.keys(item.properties).length
+              ? { properties: item.properties }
+              : {}),
+            title: item.title,
+          })),
+        });
+        const binary = Array.from(new TextEncoder().encode(json), (byte) =>
+          String.fromCharCode(byte),
+        ).join("");
+
+        return btoa(binary)
+          .replace(/\+/g, "-")
+          .replace(/\//g, "_")
+          .replace(/=+$/, "");
+      }
+
+      static decode(value) {
+        const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        const { items } = JSON.parse(new TextDecoder().decode(bytes));
+
+        return items.filter(
+          (item) => Number.isInteger(item.id) && Number.isInteger(item.quantity),
+        );
+      }
+
+      constructor() {
+        super();
+
+        this.diffBody = this.querySelector(".js-cart-import-diff");
+        this.messageElement = this.querySelector(".js-cart-import-message");
+        this.actions = this.querySelector(".js-cart-import-actions");
+        this.continueLink = this.querySelector(".js-cart-import-continue");
+
+        this.addEventListener("click", this.onClick.bind(this));
+      }
+
+      connectedCallback() {
+        const encoded = new URLSearchParams(window.location.search).get(
+          CartImport.PARAM,
+        );
+        if (!encoded) return;
+
+        try {
+          this.items = CartImport.decode(encoded);
+        } catch (e) {
+          this.items = [];
+        }
+
+        if (!this.items.length) {
+          this.showMessage(this.dataset.invalidText);
+          return;
+        }
+
+        cartClient
+          .get()
+          .then((cartData) => {
+            this.cartData = cartData;
+            if (cartData.item_count) {
+              this.renderDiff(cartData);
+            } else {
+              this.import(false);
+            }
+          })
+          .catch((e) => {
+            console.error(e);
+            this.showMessage(window.cartStrings.error);
+          });
+      }
+
+      onClick(event) {
+        const button = event.target.closest("[data-import]");
+        if (!button) return;
+
+        event.preventDefault();
+        if (button.dataset.import === "cancel") {
+          this.finish();
+        } else {
+          this.import(button.dataset.import === "replace");
+        }
+      }
+
+      getLineKey(id, properties) {
+        return `${id}:${JSON.stringify(properties || {})}`;
+      }
+
+      // One row per line in either cart, with its quantity in each.
+      getDiff(cartData) {
+        const currentLines = new Map(
+          cartData.items.map((item) => [
+            this.getLineKey(item.variant_id, item.properties),
+            item,
+          ]),
+        );
+        const rows = this.items.map((item) => {
+          const key = this.getLineKey(item.id, item.properties);
+          const currentQuantity = currentLines.get(key)?.quantity || 0;
+
+          currentLines.delete(key);
+          return {
+            title: item.title,
+            current: currentQuantity,
+            shared: item.quantity,
+          };
+        });
+
+        currentLines.forEach((item) => {
+          rows.push({ title: item.title, current: item.quantity, shared: 0 });
+        });
+
+        return rows;
+      }
+
+      renderDiff(cartData) {
+        this.diffBody.replaceChildren(
+          ...this.getDiff(cartData).map((row) => {
+            const element = document.createElement("tr");
+
+            element.className = "cart-import__row";
+            element.classList.toggle("is-added", row.current === 0);
+            element.classList.toggle("is-removed", row.shared === 0);
+            element.classList.toggle(
+              "is-changed",
+              row.current > 0 && row.shared > 0 && row.current !== row.shared,
+            );
+            [row.title, row.current, row.shared].forEach((value) => {
+              const cell = document.createElement("td");
+              cell.textContent = value;
+              element.append(cell);
+            });
+
+            return element;
+          }),
+        );
+
+        this.hidden = false;
+      }
+
+      async import(replace) {
+        this.setAttribute("aria-busy", true);
+        this.actions.hidden = true;
+
+        try {
+          if (replace && this.cartData?.item_count) {
+            await cartClient.update(
+              { updates: this.cartData.items.map(() => 0) },
+              { source: "cart-import" },
+            );
+          }
+
+          const unavailable = await cartClient.addEach(this.items, {
+            source: "cart-import",
+          });
+
+          if (!unavailable.length) {
+            this.finish();
+            return;
+          }
+
+          this.showMessage(
+            this.dataset.unavailableText.replace(
+              "[items]",
+              unavailable.map((item) => item.title).join(", "),
+            ),
+          );
+          this.continueLink.hidden = false;
+        } catch (e) {
+          console.error(e);
+          this.showMessage(window.cartStrings.error);
+          this.actions.hidden = false;
+        } finally {
+          this.removeAttribute("aria-busy");
+        }
+      }
+
+      showMessage(message) {
+        this.messageElement.textContent = message;
+        this.hidden = false;
+      }
+
+      // Reloads the cart without the shared cart in the URL, so refreshing
+      // the page doesn't import it again.
+      finish() {
+        window.location = routes.cart_url;
+      }
+    },
+  );
+}
+
+if (!customElements.get("cart-share-button")) {
+  customElements.define(
+    "cart-share-button",
+    class CartShareButton extends customElements.get("share-button") {
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.refreshUrl();
+        this.cartUpdateUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartUpdate,
+          this.refreshUrl.bind(this),
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      refreshUrl() {
+        cartClient
+          .get()
+          .then((cartData) => {
+            const url = new URL(routes.cart_url, window.shopUrl);
+            const CartImport = customElements.get("cart-import");
+
+            url.searchParams.set(
+              CartImport.PARAM,
+              CartImport.encode(cartData),
+            );
+
+            this.hidden = !cartData.item_count;
+            this.updateUrl(url.toString());
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+    },
+  );
+}
@@ -14,6 +14,43 @@ class CartRemoveButton extends HTMLElement {
 
 customElements.define("cart-remove-button", CartRemoveButton);
 
+class CartLineProperties extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener("change", (event) => {
+      if (!event.target.dataset.property) return;
+      const cartItems =
+        this.closest("cart-items") || this.closest("cart-drawer-items");
+
+      cartItems.updateProperties(this.dataset.line, this.getProperties());
+    });
+  }
+
+  // Properties sent to /cart/change replace the line's current ones, so
+  // hidden properties and ones without a field are carried over.
+  getProperties() {
+    const properties = JSON.parse(this.dataset.properties || "{}") || {};
+
+    this.querySelectorAll("[data-property]").forEach((field) => {
+      const value =
+        field.type === "checkbox"
+          ? field.checked && field.value
+          : field.value.trim();
+
+      if (value) {
+        properties[field.dataset.property] = value;
+      } else {
+        delete properties[field.dataset.property];
+      }
+    });
+
+    return properties;
+  }
+}
+
+customElements.define("cart-line-properties", CartLineProperties);
+
 class CartItems extends HTMLElement {
   cartUpdateUnsubscriber = undefined;
   constructor() {
@@ -22,11 +59,19 @@ class CartItems extends HTMLElement {
       document.getElementById("shopping-cart-line-item-status") ||
       document.getElementById("CartDrawer-LineItemStatus");
 
-    const debouncedOnChange = debounce((event) => {
-      this.onChange(event);
+    // Quantities waiting to be sent, keyed by line item key so that lines
+    // removed in between don't shift the ones still queued.
+    this.pendingChanges = new Map();
+    this.lineMessages = new Map();
+    this.requestInFlight = false;
+    this.latestState = null;
+    this.lastChange = null;
+
+    this.processQueueDebounced = debounce(() => {
+      this.processQueue();
     }, ON_CHANGE_DEBOUNCE_TIMER);
 
-    this.addEventListener("change", debouncedOnChange.bind(this));
+    this.addEventListener("change", this.onChange.bind(this));
   }
 
   connectedCallback() {
@@ -48,6 +93,8 @@ class CartItems extends HTMLElement {
   }
 
   onChange(event) {
+    if (!event.target.dataset.index) return;
+
     this.updateQuantity(
       event.target.dataset.index,
       event.target.value,
@@ -56,8 +103,10 @@ class CartItems extends HTMLElement {
   }
 
   onCartUpdate() {
-    fetch(`${routes.cart_url}?section_id=main-cart-items`)
-      .then((response) => response.text())
+    cartClient
+      .get(`${routes.cart_url}?section_id=main-cart-items`, {
+        responseType: "text",
+      })
       .then((responseText) => {
         const html = new DOMParser().parseFromString(responseText, "text/html");
         const sourceQty = html.querySelector("cart-items");
@@ -93,110 +142,294 @@ class CartItems extends HTMLElement {
     ];
   }
 
+  getQuantityInput(line) {
+    return (
+      document.getElementById(`Quantity-${line}`) ||
+      document.getElementById(`Drawer-quantity-${line}`)
+    );
+  }
+
+  getQuantityInputByKey(key) {
+    return this.querySelector(`.js-counter-quantity[data-key="${key}"]`);
+  }
+
+  // Applies the quantity to the line and the subtotal straight away and
+  // queues the request. Changes made while waiting are merged per line.
   updateQuantity(line, quantity, name) {
-    this.enableLoading(line);
+    const quantityElement = this.getQuantityInput(line);
+    if (!quantityElement) return;
+
+    const key = quantityElement.dataset.key;
+    const newQuantity = Math.max(parseInt(quantity) || 0, 0);
+
+    quantityElement.value = newQuantity;
+    this.lineMessages.delete(key);
+    this.updateLiveRegions(line, "");
+    this.renderOptimisticState();
+
+    this.pendingChanges.set(key, {
+      ...this.pendingChanges.get(key),
+      key,
+      quantity: newQuantity,
+      name,
+    });
+    this.lineItemStatusElement.setAttribute("aria-hidden", false);
+    this.processQueueDebounced();
+  }
+
+  // Queues new properties for the line with the quantity it currently shows.
+  updateProperties(line, properties) {
+    const quantityElement = this.getQuantityInput(line);
+    if (!quantityElement) return;
+
+    const key = quantityElement.dataset.key;
+
+    this.lineMessages.delete(key);
+    this.updateLiveRegions(line, "");
 
-    const body = JSON.stringify({
-      line,
-      quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
-      sections_url: window.location.pathname,
+    this.pendingChanges.set(key, {
+      ...this.pendingChanges.get(key),
+      key,
+      quantity: parseInt(quantityElement.value) || 0,
+      properties,
+      variantId: parseInt(quantityElement.dataset.quantityVariantId),
     });
+    this.lineItemStatusElement.setAttribute("aria-hidden", false);
+    this.processQueueDebounced();
+  }
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
-        const quantityElement =
-          document.getElementById(`Quantity-${line}`) ||
-          document.getElementById(`Drawer-quantity-${line}`);
-        const items = document.querySelectorAll(".cart-item");
+  // A line's key depends on its properties, so after a properties change the
+  // line is found by variant and properties instead.
+  findUpdatedItem(parsedState, change) {
+    if (!change.properties) {
+      return parsedState.items.find((item) => item.key === change.key);
+    }
+
+    const properties = Object.entries(change.properties);
+    return parsedState.items.find(
+      (item) =>
+        item.variant_id === change.variantId &&
+        Object.keys(item.properties || {}).length === properties.length &&
+        properties.every(
+          ([name, value]) => (item.properties || {})[name] === value,
+        ),
+    );
+  }
+
+  // Points the line's quantity input and any queued change at its new key.
+  rekeyLine(key, newKey) {
+    const quantityElement = this.getQuantityInputByKey(key);
+    const pendingChange = this.pendingChanges.get(key);
+
+    if (quantityElement) quantityElement.dataset.key = newKey;
+    if (pendingChange) {
+      this.pendingChanges.delete(key);
+      this.pendingChanges.set(newKey, { ...pendingChange, key: newKey });
+    }
+  }
 
+  processQueue() {
+    if (this.requestInFlight) return;
+
+    const [change] = this.pendingChanges.values();
+    if (!change) return;
+
+    this.pendingChanges.delete(change.key);
+    this.requestInFlight = true;
+
+    cartClient
+      .change(
+        {
+          id: change.key,
+          quantity: change.quantity,
+          properties: change.properties,
+          sections: this.getSectionsToRender().map(
+            (section) => section.section,
+          ),
+          sections_url: window.location.pathname,
+        },
+        { source: "cart-items" },
+      )
+      .then((parsedState) => {
         if (parsedState.errors) {
-          quantityElement.value = quantityElement.getAttribute("value");
-          this.updateLiveRegions(line, parsedState.errors);
+          this.rollback(change.key, parsedState.errors);
+          publish(PUB_SUB_EVENTS.cartError, {
+            source: "cart-items",
+            message: parsedState.errors,
+          });
           return;
         }
 
-        this.classList.toggle("is-empty", parsedState.item_count === 0);
-        const cartDrawerWrapper = document.querySelector("cart-drawer");
-        const cartFooter = document.getElementById("main-cart-footer");
-
-        if (cartFooter)
-          cartFooter.classList.toggle("is-empty", parsedState.item_count === 0);
-        if (cartDrawerWrapper)
-          cartDrawerWrapper.classList.toggle(
-            "is-empty",
-            parsedState.item_count === 0,
-          );
-
-        this.getSectionsToRender().forEach((section) => {
-          const elementToReplace =
-            document
-              .getElementById(section.id)
-              .querySelector(section.selector) ||
-            document.getElementById(section.id);
-          elementToReplace.innerHTML =
-            this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector,
-            ) || "";
-        });
-        const updatedValue = parsedState.items[line - 1]
-          ? parsedState.items[line - 1].quantity
-          : undefined;
-        let message = "";
-        if (
-          items.length === parsedState.items.length &&
-          updatedValue !== parseInt(quantityElement.value)
-        ) {
-          if (typeof updatedValue === "undefined") {
-            message = window.cartStrings.error;
-          } else {
-            message = window.cartStrings.quantityError.replace(
-              "[quantity]",
-              updatedValue,
-            );
-          }
+        const updatedItem = this.findUpdatedItem(parsedState, change);
+        if (updatedItem && updatedItem.key !== change.key) {
+          this.rekeyLine(change.key, updatedItem.key);
+          change.key = updatedItem.key;
         }
-        this.updateLiveRegions(line, message);
-
-        const lineItem =
-          document.getElementById(`CartItem-${line}`) ||
-          document.getElementById(`CartDrawer-Item-${line}`);
-        if (lineItem && lineItem.querySelector(`[name="${name}"]`)) {
-          cartDrawerWrapper
-            ? trapFocus(
-                cartDrawerWrapper,
-                lineItem.querySelector(`[name="${name}"]`),
-              )
-            : lineItem.querySelector(`[name="${name}"]`).focus();
-        } else if (document.querySelector(".cart-item") && cartDrawerWrapper) {
-          trapFocus(
-            cartDrawerWrapper,
-            document.querySelector(".cart-item__name"),
+
+        this.confirmState(change.key, parsedState);
+        this.latestState = parsedState;
+        this.lastChange = change;
+
+        // A newer quantity for this line is queued; it will be checked instead.
+        if (this.pendingChanges.has(change.key)) return;
+
+        const updatedValue = updatedItem?.quantity;
+        if ((updatedValue || 0) !== change.quantity) {
+          this.lineMessages.set(
+            change.key,
+            typeof updatedValue === "undefined"
+              ? window.cartStrings.error
+              : window.cartStrings.quantityError.replace(
+                  "[quantity]",
+                  updatedValue,
+                ),
           );
         }
-        publish(PUB_SUB_EVENTS.cartUpdate, { source: "cart-items" });
       })
-      // .catch(() => {
-      //   this.querySelectorAll('.loading-overlay').forEach((overlay) => overlay.classList.add('hidden'));
-      //   const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
-      //   errors.textContent = window.cartStrings.error;
-      // })
+      .catch((e) => {
+        console.error(e);
+        this.rollback(change.key, window.cartStrings.error);
+      })
       .finally(() => {
-        this.disableLoading(line);
+        this.requestInFlight = false;
+
+        if (this.pendingChanges.size) {
+          this.processQueue();
+          return;
+        }
+
+        if (this.latestState) {
+          this.renderState(this.latestState, this.lastChange);
+        } else {
+          this.renderLineMessages();
+        }
+        this.latestState = null;
+        this.lastChange = null;
+      });
+  }
+
+  // Stores what the server accepted, so a later failure rolls back to it
+  // rather than to the quantities the page was rendered with.
+  confirmState(key, parsedState) {
+    const quantityElement = this.getQuantityInputByKey(key);
+    const updatedItem = parsedState.items.find((item) => item.key === key);
+
+    if (quantityElement) {
+      quantityElement.setAttribute("value", updatedItem?.quantity || 0);
+    }
+    document
+      .querySelectorAll(".wt-cart__subtotal__value[data-cart-total]")
+      .forEach((subtotal) => {
+        subtotal.dataset.cartTotal = parsedState.total_price;
+      });
+  }
+
+  rollback(key, message) {
+    const quantityElement = this.getQuantityInputByKey(key);
+    if (!quantityElement) return;
+
+    this.pendingChanges.delete(key);
+    quantityElement.value = quantityElement.getAttribute("value");
+    this.lineMessages.set(key, message);
+    this.renderOptimisticState();
+  }
+
+  renderOptimisticState() {
+    let totalDelta = 0;
+
+    this.querySelectorAll(".js-counter-quantity[data-key]").forEach(
+      (quantityElement) => {
+        const lineItem = quantityElement.closest(".cart-item");
+        const quantity = parseInt(quantityElement.value) || 0;
+        const confirmedQuantity =
+          parseInt(quantityElement.getAttribute("value")) || 0;
+
+        lineItem.style.display = quantity === 0 ? "none" : "";
+        lineItem.querySelectorAll("[data-unit-price]").forEach((price) => {
+          taxDisplay.render(
+            price,
+            parseInt(price.dataset.unitPrice) * quantity,
+          );
+        });
+        totalDelta +=
+          parseInt(lineItem.dataset.finalPrice) *
+          (quantity - confirmedQuantity);
+      },
+    );
+
+    document
+      .querySelectorAll(".wt-cart__subtotal__value[data-cart-total]")
+      .forEach((subtotal) => {
+        taxDisplay.render(
+          subtotal,
+          parseInt(subtotal.dataset.cartTotal) + totalDelta,
+        );
       });
   }
 
+  renderState(parsedState, change) {
+    this.renderSections(parsedState);
+    this.renderLineMessages();
+
+    const cartDrawerWrapper = document.querySelector("cart-drawer");
+    const lineItem = this.getQuantityInputByKey(change.key)?.closest(
+      ".cart-item",
+    );
+    if (lineItem && lineItem.querySelector(`[name="${change.name}"]`)) {
+      cartDrawerWrapper
+        ? trapFocus(
+            cartDrawerWrapper,
+            lineItem.querySelector(`[name="${change.name}"]`),
+          )
+        : lineItem.querySelector(`[name="${change.name}"]`).focus();
+    } else if (document.querySelector(".cart-item") && cartDrawerWrapper) {
+      trapFocus(cartDrawerWrapper, document.querySelector(".cart-item__name"));
+    }
+  }
+
+  // Renders sections returned by a cart request made with getSectionsToRender().
+  renderSections(parsedState) {
+    this.classList.toggle("is-empty", parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector("cart-drawer");
+    const cartFooter = document.getElementById("main-cart-footer");
+
+    if (cartFooter)
+      cartFooter.classList.toggle("is-empty", parsedState.item_count === 0);
+    if (cartDrawerWrapper)
+      cartDrawerWrapper.classList.toggle(
+        "is-empty",
+        parsedState.item_count === 0,
+      );
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) ||
+        document.getElementById(section.id);
+      elementToReplace.innerHTML =
+        this.getSectionInnerHTML(
+          parsedState.sections[section.section],
+          section.selector,
+        ) || "";
+    });
+  }
+
+  renderLineMessages() {
+    this.lineMessages.forEach((message, key) => {
+      const quantityElement = this.getQuantityInputByKey(key);
+      if (quantityElement) {
+        this.updateLiveRegions(quantityElement.dataset.index, message);
+      }
+    });
+    this.lineMessages.clear();
+    this.lineItemStatusElement.setAttribute("aria-hidden", true);
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) ||
       document.getElementById(`CartDrawer-LineItemError-${line}`);
     if (lineItemError) {
-      if (message.length > 0) lineItemError.style.display = "flex";
+      lineItemError.style.display = message.length > 0 ? "flex" : "";
       lineItemError.querySelector(".cart-item__error-text").innerHTML = message;
     }
 
@@ -217,46 +450,6 @@ class CartItems extends HTMLElement {
       .parseFromString(html, "text/html")
       ?.querySelector(selector)?.innerHTML;
   }
-
-  enableLoading(line) {
-    const mainCartItems =
-      document.getElementById("main-cart-items") ||
-      document.getElementById("CartDrawer-CartItems");
-    mainCartItems.classList.add("cart__items--disabled");
-
-    const cartItemElements = this.querySelectorAll(
-      `#CartItem-${line} .loading-overlay`,
-    );
-    const cartDrawerItemElements = this.querySelectorAll(
-      `#CartDrawer-Item-${line} .loading-overlay`,
-    );
-
-    [...cartItemElements, ...cartDrawerItemElements].forEach((overlay) =>
-      overlay.classList.remove("hidden"),
-    );
-
-    document.activeElement.blur();
-    this.lineItemStatusElement.setAttribute("aria-hidden", false);
-  }
-
-  disableLoading(line) {
-    const mainCartItems =
-      document.getElementById("main-cart-items") ||
-      document.getElementById("CartDrawer-CartItems");
-    mainCartItems.classList.remove("cart__items--disabled");
-
-    const cartItemElements = this.querySelectorAll(
-      `#CartItem-${line} .loading-overlay`,
-    );
-    const cartDrawerItemElements = this.querySelectorAll(
-      `#CartDrawer-Item-${line} .loading-overlay`,
-    );
-
-    cartItemElements.forEach((overlay) => overlay.classList.add("hidden"));
-    cartDrawerItemElements.forEach((overlay) =>
-      overlay.classList.add("hidden"),
-    );
-  }
 }
 
 customElements.define("cart-items", CartItems);
@@ -271,13 +464,10 @@ if (!customElements.get("cart-note")) {
         this.addEventListener(
           "change",
           debounce((event) => {
-            const body = JSON.stringify({
-              note: document.getElementById("Cart-note").value,
-            });
-            fetch(`${routes.cart_update_url}`, {
-              ...fetchConfig(),
-              ...{ body },
-            });
+            cartClient.update(
+              { note: document.getElementById("Cart-note").value },
+              { key: "cart-note" },
+            );
           }, ON_CHANGE_DEBOUNCE_TIMER),
         );
       }
@@ -0,0 +1,212 @@
+if (!customElements.get("collection-paginator")) {
+  customElements.define(
+    "collection-paginator",
+    class CollectionPaginator extends HTMLElement {
+      static STATE_KEY = "collectionPaginator";
+
+      constructor() {
+        super();
+
+        this.grid = document.getElementById("product-grid");
+        this.onClick = this.onClick.bind(this);
+        this.saveScrollPosition = debounce(
+          this.saveState.bind(this),
+          ON_CHANGE_DEBOUNCE_TIMER,
+        );
+      }
+
+      connectedCallback() {
+        this.addEventListener("click", this.onClick);
+        window.addEventListener("scroll", this.saveScrollPosition, {
+          passive: true,
+        });
+
+        if (this.dataset.mode === "infinite") {
+          this.observer = new IntersectionObserver(
+            (entries) => {
+              if (entries.some((entry) => entry.isIntersecting)) {
+                this.loadNextPage();
+              }
+            },
+            { rootMargin: "0px 0px 400px 0px" },
+          );
+        }
+
+        this.restore().finally(() => this.observe());
+      }
+
+      disconnectedCallback() {
+        this.removeEventListener("click", this.onClick);
+        window.removeEventListener("scroll", this.saveScrollPosition);
+        this.observer?.disconnect();
+      }
+
+      get nextLink() {
+        return this.querySelector(".js-collection-paginator-next");
+      }
+
+      // Re-observing fires the callback again if the button is still in view
+      observe() {
+        if (!this.observer) return;
+
+        this.observer.disconnect();
+        if (this.nextLink) this.observer.observe(this.nextLink);
+      }
+
+      onClick(event) {
+        if (!event.target.closest(".js-collection-paginator-next")) return;
+
+        event.preventDefault();
+        this.loadNextPage(true);
+      }
+
+      getSectionUrl(url) {
+        const sectionUrl = new URL(url, window.location.origin);
+        sectionUrl.searchParams.set("section_id", this.dataset.sectionId);
+        return sectionUrl;
+      }
+
+      getPageUrl(page) {
+        const url = new URL(window.location.href);
+        url.searchParams.set(this.dataset.pageParam, page);
+        return url;
+      }
+
+      async fetchPage(url) {
+        const response = await fetch(this.getSectionUrl(url));
+        if (!response.ok) throw new Error(response.status);
+
+        return new DOMParser().parseFromString(
+          await response.text(),
+          "text/html",
+        );
+      }
+
+      // Moves the page's cards into the document before the grid gets them,
+      // so only the new cards are handed to the scroll animations.
+      importItems(html) {
+        const items = document.createElement("div");
+        items.append(...html.querySelectorAll("#product-grid > *"));
+
+        if (typeof initializeScrollAnimationTrigger === "function") {
+          initializeScrollAnimationTrigger(items);
+        }
+        return Array.from(items.children);
+      }
+
+      async loadNextPage(moveFocus = false) {
+        const nextLink = this.nextLink;
+        if (!nextLink || this.loading) return;
+
+        this.loading = true;
+        nextLink.setAttribute("aria-disabled", true);
+        nextLink.querySelector(".loading-overlay__spinner")?.classList.remove(
+          "hidden",
+        );
+
+        try {
+          const html = await this.fetchPage(nextLink.href);
+          // The grid was re-rendered while the page loaded, e.g. by a filter
+          if (!this.isConnected) return;
+
+          const paginator = html.querySelector("collection-paginator");
+          const items = this.importItems(html);
+
+          this.grid.append(...items);
+          this.dataset.currentPage = paginator.dataset.currentPage;
+          this.replaceChildren(...paginator.childNodes);
+          this.updateProgress();
+          this.saveState();
+
+          if (moveFocus) {
+            items[0]?.querySelector("a[href]")?.focus({ preventScroll: true });
+          }
+        } catch (e) {
+          console.error(e);
+          nextLink.removeAttribute("aria-disabled");
+          nextLink.querySelector(".loading-overlay__spinner")?.classList.add(
+            "hidden",
+          );
+        } finally {
+          this.loading = false;
+          if (this.isConnected) this.observe();
+        }
+      }
+
+      updateProgress() {
+        this.querySelector(".js-collection-paginator-progress").textContent =
+          this.dataset.progressText.replace(
+            "[count]",
+            this.grid.children.length,
+          );
+      }
+
+      // Keeps the last loaded page in the URL, in the shape FacetFiltersForm
+      // uses for its history entries, along with the page the grid starts at
+      // and the scroll position to come back to.
+      saveState() {
+        if (this.restoring) return;
+
+        const currentPage = parseInt(this.dataset.currentPage);
+        const url = this.getPageUrl(currentPage);
+        const facetFiltersForm = customElements.get("facet-filters-form");
+
+        if (currentPage === 1) url.searchParams.delete(this.dataset.pageParam);
+
+        const searchParams = url.search.slice(1);
+        if (facetFiltersForm) facetFiltersForm.searchParamsPrev = searchParams;
+
+        history.replaceState(
+          {
+            ...history.state,
+            searchParams,
+            [CollectionPaginator.STATE_KEY]: {
+              startPage: this.getStartPage(),
+              scrollY: window.scrollY,
+            },
+          },
+          "",
+          url,
+        );
+      }
+
+      getStartPage() {
+        return parseInt(
+          this.grid.firstElementChild?.dataset.page || this.dataset.currentPage,
+        );
+      }
+
+      // Coming back to ?page=3 renders page 3 only, so the pages the visitor
+      // had loaded before it are put back ahead of it.
+      async restore() {
+        const state = history.state?.[CollectionPaginator.STATE_KEY];
+        const currentPage = parseInt(this.dataset.currentPage);
+        if (!state) return;
+
+        history.scrollRestoration = "manual";
+        this.restoring = true;
+
+        try {
+          const pages = [];
+          for (let page = state.startPage; page < currentPage; page++) {
+            pages.push(page);
+          }
+
+          const documents = await Promise.all(
+            pages.map((page) => this.fetchPage(this.getPageUrl(page))),
+          );
+
+          this.grid.prepend(
+            ...documents.flatMap((html) => this.importItems(html)),
+          );
+          this.updateProgress();
+        } catch (e) {
+          console.error(e);
+        } finally {
+          this.restoring = false;
+          window.scrollTo(0, state.scrollY);
+        }
+      }
+    },
+  );
+}
@@ -5,4 +5,36 @@ const PUB_SUB_EVENTS = {
   quantityUpdate: "quantity-update",
   variantChange: "variant-change",
   cartError: "cart-error",
+  quoteListUpdate: "quote-list-update",
+  predictiveSearch: "predictive-search",
+  savedItemsUpdate: "saved-items-update",
+  taxDisplayChange: "tax-display-change",
+};
+
+const PUB_SUB_EVENT_SCHEMAS = {
+  [PUB_SUB_EVENTS.cartUpdate]: {
+    source: "string",
+    productVariantId: "?string",
+    cartData: "?object",
+  },
+  [PUB_SUB_EVENTS.cartError]: {
+    source: "string",
+    productVariantId: "?string",
+    message: "?string",
+  },
+  [PUB_SUB_EVENTS.variantChange]: {
+    data: "object",
+  },
+  [PUB_SUB_EVENTS.quoteListUpdate]: {
+    items: "array",
+  },
+  [PUB_SUB_EVENTS.savedItemsUpdate]: {
+    items: "array",
+  },
+  [PUB_SUB_EVENTS.predictiveSearch]: {
+    searchTerm: "string",
+  },
+  [PUB_SUB_EVENTS.taxDisplayChange]: {
+    mode: "string",
+  },
 };
@@ -2,9 +2,20 @@ const selectors = {
   customerAddresses: "[data-customer-addresses]",
   addressCountrySelect: "[data-address-country-select]",
   addressContainer: "[data-address]",
+  addressForm: "[data-address] form",
   toggleAddressButton: "button[aria-expanded]",
   cancelAddressButton: 'button[type="reset"]',
   deleteAddressButton: "button[data-confirm-message]",
+  defaultAddressButton: "button[data-default-address]",
+  deliveryInstructions: "[data-delivery-instructions]",
+  deliveryInput: "[data-delivery-label]",
+  address2Input: 'input[name="address[address2]"]',
+  countrySelect: 'select[name="address[country]"]',
+  provinceSelect: 'select[name="address[province]"]',
+  zipInput: 'input[name="address[zip]"]',
+  zipError: "[data-address-zip-error]",
+  formErrors: "[data-address-errors]",
+  status: "[data-customer-addresses-status]",
 };
 
 const attributes = {
@@ -12,12 +23,31 @@ const attributes = {
   confirmMessage: "data-confirm-message",
 };
 
+const classes = {
+  fieldWarning: "wt-customer__field-error--warning",
+};
+
+// getAustralianState gives codes, the province select uses names
+const australianStates = {
+  ACT: "Australian Capital Territory",
+  NSW: "New South Wales",
+  NT: "Northern Territory",
+  QLD: "Queensland",
+  SA: "South Australia",
+  TAS: "Tasmania",
+  VIC: "Victoria",
+  WA: "Western Australia",
+};
+
+// Addresses have no field for delivery instructions, so they're kept on the
+// second address line as "Label: value" parts and printed on shipping labels.
+const deliverySeparator = " | ";
+
 class CustomerAddresses {
   constructor() {
     this.elements = this._getElements();
     if (Object.keys(this.elements).length === 0) return;
-    this._setupCountries();
-    this._setupEventListeners();
+    this._setup();
   }
 
   _getElements() {
@@ -35,13 +65,24 @@ class CustomerAddresses {
           deleteButtons: container.querySelectorAll(
             selectors.deleteAddressButton,
           ),
+          defaultButtons: container.querySelectorAll(
+            selectors.defaultAddressButton,
+          ),
           countrySelects: container.querySelectorAll(
             selectors.addressCountrySelect,
           ),
+          forms: container.querySelectorAll(selectors.addressForm),
+          status: document.querySelector(selectors.status),
         }
       : {};
   }
 
+  _setup() {
+    this._setupCountries();
+    this._setupDeliveryInstructions();
+    this._setupEventListeners();
+  }
+
   _setupCountries() {
     if (Shopify && Shopify.CountryProvinceSelector) {
       // eslint-disable-next-line no-new
@@ -66,6 +107,28 @@ class CustomerAddresses {
     }
   }
 
+  // Splits the instructions off the saved second address line. Default values
+  // are set so the cancel button resets to the split values.
+  _setupDeliveryInstructions() {
+    this.elements.forms.forEach((form) => {
+      const address2Input = form.querySelector(selectors.address2Input);
+      const parts = address2Input.value.split(deliverySeparator);
+
+      form.querySelectorAll(selectors.deliveryInput).forEach((input) => {
+        const prefix = `${input.dataset.deliveryLabel}: `;
+        const index = parts.findIndex((part) => part.startsWith(prefix));
+
+        if (index !== -1) {
+          input.defaultValue = parts[index].slice(prefix.length);
+          parts.splice(index, 1);
+        }
+      });
+
+      address2Input.defaultValue = parts.join(deliverySeparator);
+      form.querySelector(selectors.deliveryInstructions).hidden = false;
+    });
+  }
+
   _setupEventListeners() {
     this.elements.toggleButtons.forEach((element) => {
       element.addEventListener("click", this._handleAddEditButtonClick);
@@ -76,6 +139,13 @@ class CustomerAddresses {
     this.elements.deleteButtons.forEach((element) => {
       element.addEventListener("click", this._handleDeleteButtonClick);
     });
+    this.elements.defaultButtons.forEach((element) => {
+      element.addEventListener("click", this._handleDefaultButtonClick);
+    });
+    this.elements.forms.forEach((element) => {
+      element.addEventListener("change", this._handleFormChange);
+      element.addEventListener("submit", this._handleFormSubmit);
+    });
   }
 
   _toggleExpanded(target) {
@@ -85,23 +155,165 @@ class CustomerAddresses {
     );
   }
 
+  _getToggleButton(element) {
+    return element
+      .closest(selectors.addressContainer)
+      .querySelector(`[${attributes.expanded}]`);
+  }
+
+  _getFormData(form) {
+    const formData = new FormData(form);
+    const instructions = Array.from(
+      form.querySelectorAll(selectors.deliveryInput),
+    )
+      .filter((input) => input.value.trim())
+      .map((input) => `${input.dataset.deliveryLabel}: ${input.value.trim()}`);
+
+    formData.set(
+      "address[address2]",
+      [formData.get("address[address2]").trim(), ...instructions]
+        .filter(Boolean)
+        .join(deliverySeparator),
+    );
+    return formData;
+  }
+
+  // Australian postcodes must be four digits in a known range. A postcode
+  // outside the selected state's ranges is only a warning, as some cross
+  // state borders (2540 Jervis Bay, 2611, 3585, 3644, 4380-4385, 0872).
+  _validatePostcode(form) {
+    const { postcodeInvalidText, postcodeStateText } =
+      this.elements.container.dataset;
+    const zipInput = form.querySelector(selectors.zipInput);
+    const zipError = form.querySelector(selectors.zipError);
+    const province = form.querySelector(selectors.provinceSelect).value;
+    let error = "";
+    let warning = "";
+
+    if (
+      form.querySelector(selectors.countrySelect).value === "Australia" &&
+      zipInput.value.trim()
+    ) {
+      const state = australianStates[getAustralianState(zipInput.value)];
+
+      if (!state) {
+        error = postcodeInvalidText;
+      } else if (province && province !== state) {
+        warning = postcodeStateText.replace("[state]", state);
+      }
+    }
+
+    zipInput.setCustomValidity(error);
+    zipInput.setAttribute("aria-invalid", Boolean(error));
+    zipError.textContent = error || warning;
+    zipError.hidden = !error && !warning;
+    zipError.classList.toggle(classes.fieldWarning, Boolean(warning));
+    return { error, warning };
+  }
+
+  async _submit(url, body, { successText, focusId }) {
+    const { container, status } = this.elements;
+
+    container.setAttribute("aria-busy", true);
+    status.textContent = "";
+
+    try {
+      const response = await fetch(url, { method: "POST", body });
+      if (!response.ok) throw new Error(response.status);
+
+      const html = new DOMParser().parseFromString(
+        await response.text(),
+        "text/html",
+      );
+      const updated = html.querySelector(selectors.customerAddresses);
+      if (!updated) throw new Error("Missing addresses in response");
+
+      container.replaceChildren(...updated.childNodes);
+      this.elements = this._getElements();
+      this._setup();
+
+      const errors = container.querySelector(selectors.formErrors);
+      if (errors) {
+        this._getToggleButton(errors).setAttribute(attributes.expanded, true);
+        errors.focus();
+      } else {
+        status.textContent = successText;
+        document.getElementById(focusId)?.focus();
+      }
+    } catch (e) {
+      console.error(e);
+      status.textContent = container.dataset.errorText;
+    } finally {
+      container.removeAttribute("aria-busy");
+    }
+  }
+
   _handleAddEditButtonClick = ({ currentTarget }) => {
     this._toggleExpanded(currentTarget);
   };
 
   _handleCancelButtonClick = ({ currentTarget }) => {
-    this._toggleExpanded(
-      currentTarget
-        .closest(selectors.addressContainer)
-        .querySelector(`[${attributes.expanded}]`),
-    );
+    this._toggleExpanded(this._getToggleButton(currentTarget));
+  };
+
+  _handleFormChange = ({ currentTarget, target }) => {
+    const fields = [
+      selectors.zipInput,
+      selectors.provinceSelect,
+      selectors.countrySelect,
+    ];
+
+    if (target.matches(fields.join(","))) {
+      this._validatePostcode(currentTarget);
+    }
+  };
+
+  _handleFormSubmit = (event) => {
+    const form = event.currentTarget;
+
+    event.preventDefault();
+    const { error, warning } = this._validatePostcode(form);
+    const zipInput = form.querySelector(selectors.zipInput);
+    const postcodeState = `${zipInput.value.trim()}|${
+      form.querySelector(selectors.provinceSelect).value
+    }`;
+
+    // A state warning stops the first submit only; submitting the same
+    // postcode and state again saves the address as entered.
+    if (error || (warning && form.dataset.postcodeState !== postcodeState)) {
+      form.dataset.postcodeState = postcodeState;
+      zipInput.focus();
+      return;
+    }
+
+    this._submit(form.action, this._getFormData(form), {
+      successText: this.elements.container.dataset.savedText,
+      focusId: this._getToggleButton(form).id,
+    });
+  };
+
+  _handleDefaultButtonClick = ({ currentTarget }) => {
+    const form = currentTarget
+      .closest(selectors.addressContainer)
+      .querySelector("form");
+    const formData = this._getFormData(form);
+
+    formData.set("address[default]", "1");
+    this._submit(form.action, formData, {
+      successText: this.elements.container.dataset.defaultText,
+      focusId: this._getToggleButton(form).id,
+    });
   };
 
   _handleDeleteButtonClick = ({ currentTarget }) => {
     // eslint-disable-next-line no-alert
     if (confirm(currentTarget.getAttribute(attributes.confirmMessage))) {
-      Shopify.postLink(currentTarget.dataset.target, {
-        parameters: { _method: "delete" },
+      const formData = new FormData();
+
+      formData.append("_method", "delete");
+      this._submit(currentTarget.dataset.target, formData, {
+        successText: this.elements.container.dataset.deletedText,
+        focusId: "AddressNewButton",
       });
     }
   };
@@ -1,3 +1,41 @@
+// Section HTML by URL, least recently used first. Entries expire after `ttl`
+// milliseconds and the oldest are dropped past `maxEntries`.
+class FacetsCache {
+  constructor({ maxEntries = 20, ttl = 5 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  get(url) {
+    const entry = this.entries.get(url);
+    if (!entry) return undefined;
+
+    this.entries.delete(url);
+    if (Date.now() - entry.createdAt > this.ttl) return undefined;
+
+    this.entries.set(url, entry);
+    return entry.html;
+  }
+
+  has(url) {
+    return this.get(url) !== undefined;
+  }
+
+  set(url, html) {
+    this.entries.delete(url);
+    this.entries.set(url, { html, createdAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
 class FacetFiltersForm extends HTMLElement {
   constructor() {
     super();
@@ -5,9 +43,12 @@ class FacetFiltersForm extends HTMLElement {
     this.debouncedOnSubmit = debounce((event) => {
       this.onSubmitHandler(event);
     }, 500);
+    this.debouncedOnPrefetch = debounce(this.onPrefetch.bind(this), 200);
 
     const facetForm = this.querySelector("form");
     facetForm.addEventListener("input", this.debouncedOnSubmit.bind(this));
+    facetForm.addEventListener("pointerover", this.debouncedOnPrefetch);
+    facetForm.addEventListener("focusin", this.debouncedOnPrefetch);
     const facetWrapper = this.querySelector("#FacetsWrapperDesktop");
     if (facetWrapper) facetWrapper.addEventListener("keyup", onKeyUpEscape);
   }
@@ -45,6 +86,24 @@ class FacetFiltersForm extends HTMLElement {
       FacetFiltersForm.renderPage(searchParams, null, false);
     };
     window.addEventListener("popstate", onHistoryChange);
+
+    // Cached grids could show stock that the cart has since changed
+    subscribe(PUB_SUB_EVENTS.cartUpdate, () => {
+      FacetFiltersForm.clearCache();
+    });
+  }
+
+  // Requests started before the cache was cleared don't refill it, as their
+  // HTML may predate the change that cleared it.
+  static clearCache() {
+    FacetFiltersForm.cacheGeneration++;
+    FacetFiltersForm.filterData.clear();
+  }
+
+  static cacheSection(url, html, generation) {
+    if (generation === FacetFiltersForm.cacheGeneration) {
+      FacetFiltersForm.filterData.set(url, html);
+    }
   }
 
   static toggleActiveFacets(disable = true) {
@@ -69,55 +128,75 @@ class FacetFiltersForm extends HTMLElement {
     FacetFiltersForm.searchParamsPrev = searchParams;
 
     const sections = FacetFiltersForm.getSections();
-    const countContainer = document.getElementById("ProductCount");
-    const countContainerDesktop = document.getElementById(
-      "ProductCountDesktop",
-    );
-    // document.getElementById('ProductGridContainer').querySelector('.collection').classList.add('loading');
-    // if (countContainer) {
-    //   countContainer.classList.add('loading');
-    // }
-    // if (countContainerDesktop) {
-    //   countContainerDesktop.classList.add('loading');
-    // }
+    const requestId = ++FacetFiltersForm.requestId;
+
+    FacetFiltersForm.abortController?.abort();
+    FacetFiltersForm.abortController = new AbortController();
+    FacetFiltersForm.setLoading(true);
 
     sections.forEach((section) => {
-      const url = `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
-      const filterDataUrl = (element) => element.url === url;
+      const url = FacetFiltersForm.getSectionUrl(section, searchParams);
 
-      FacetFiltersForm.filterData.some(filterDataUrl)
-        ? FacetFiltersForm.renderSectionFromCache(filterDataUrl, event)
-        : FacetFiltersForm.renderSectionFromFetch(url, event);
+      FacetFiltersForm.filterData.has(url)
+        ? FacetFiltersForm.renderSectionFromCache(url, event)
+        : FacetFiltersForm.renderSectionFromFetch(url, event, requestId);
     });
 
     if (updateURLHash) FacetFiltersForm.updateURLHash(searchParams);
   }
 
-  static renderSectionFromFetch(url, event) {
-    fetch(url)
-      .then((response) => response.text())
+  // Only the latest request renders. Older ones are aborted, and the request
+  // id catches any that had already finished when the next one started.
+  static renderSectionFromFetch(url, event, requestId) {
+    const isLatest = () => requestId === FacetFiltersForm.requestId;
+    const generation = FacetFiltersForm.cacheGeneration;
+
+    fetch(url, { signal: FacetFiltersForm.abortController.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(response.status);
+        return response.text();
+      })
       .then((responseText) => {
         const html = responseText;
-        FacetFiltersForm.filterData = [
-          ...FacetFiltersForm.filterData,
-          { html, url },
-        ];
+        FacetFiltersForm.cacheSection(url, html, generation);
+        if (!isLatest()) return;
+
         FacetFiltersForm.renderFilters(html, event);
         FacetFiltersForm.renderProductGridContainer(html);
         // FacetFiltersForm.renderProductCount(html);
         if (typeof initializeScrollAnimationTrigger === "function")
           initializeScrollAnimationTrigger(html.innerHTML);
+        FacetFiltersForm.setLoading(false);
+      })
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        console.error(error);
+        if (isLatest()) FacetFiltersForm.setLoading(false);
       })
-      .finally(() => FacetFiltersForm.fireCustomEvent());
+      .finally(() => {
+        if (isLatest()) FacetFiltersForm.fireCustomEvent();
+      });
   }
 
-  static renderSectionFromCache(filterDataUrl, event) {
-    const html = FacetFiltersForm.filterData.find(filterDataUrl).html;
+  static renderSectionFromCache(url, event) {
+    const html = FacetFiltersForm.filterData.get(url);
     FacetFiltersForm.renderFilters(html, event);
     FacetFiltersForm.renderProductGridContainer(html);
     // FacetFiltersForm.renderProductCount(html);
     if (typeof initializeScrollAnimationTrigger === "function")
       initializeScrollAnimationTrigger(html.innerHTML);
+    FacetFiltersForm.setLoading(false);
+    FacetFiltersForm.fireCustomEvent();
+  }
+
+  static setLoading(loading) {
+    const container = document.getElementById("ProductGridContainer");
+
+    container.classList.toggle("loading", loading);
+    container.setAttribute("aria-busy", loading);
+    document
+      .querySelectorAll("#ProductCount, #ProductCountDesktop")
+      .forEach((count) => count.classList.toggle("loading", loading));
   }
 
   static renderProductGridContainer(html) {
@@ -240,6 +319,36 @@ class FacetFiltersForm extends HTMLElement {
     );
   }
 
+  static getSectionUrl(section, searchParams) {
+    return `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
+  }
+
+  // Fetches into the cache without rendering, for filter states the visitor
+  // is likely to pick next.
+  static prefetch(searchParams) {
+    FacetFiltersForm.getSections().forEach((section) => {
+      const url = FacetFiltersForm.getSectionUrl(section, searchParams);
+      if (
+        FacetFiltersForm.filterData.has(url) ||
+        FacetFiltersForm.prefetching.has(url)
+      ) {
+        return;
+      }
+
+      const generation = FacetFiltersForm.cacheGeneration;
+
+      FacetFiltersForm.prefetching.add(url);
+      fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(response.status);
+          return response.text();
+        })
+        .then((html) => FacetFiltersForm.cacheSection(url, html, generation))
+        .catch((e) => console.error(e))
+        .finally(() => FacetFiltersForm.prefetching.delete(url));
+    });
+  }
+
   static getSections() {
     return [
       {
@@ -253,6 +362,24 @@ class FacetFiltersForm extends HTMLElement {
     return new URLSearchParams(formData).toString();
   }
 
+  // The search params the form would submit with `checkbox` toggled, built
+  // the same way as on submit so they match the cached URL.
+  createToggledSearchParams(checkbox) {
+    checkbox.checked = !checkbox.checked;
+    const searchParams = this.createSearchParams(checkbox.form);
+    checkbox.checked = !checkbox.checked;
+    return searchParams;
+  }
+
+  onPrefetch(event) {
+    const checkbox = event.target
+      .closest(".list__item")
+      ?.querySelector('input[type="checkbox"]:not(:disabled)');
+    if (checkbox) {
+      FacetFiltersForm.prefetch(this.createToggledSearchParams(checkbox));
+    }
+  }
+
   onSubmitForm(searchParams, event) {
     FacetFiltersForm.renderPage(searchParams, event);
   }
@@ -304,7 +431,11 @@ class FacetFiltersForm extends HTMLElement {
   }
 }
 
-FacetFiltersForm.filterData = [];
+FacetFiltersForm.filterData = new FacetsCache();
+FacetFiltersForm.prefetching = new Set();
+FacetFiltersForm.cacheGeneration = 0;
+FacetFiltersForm.requestId = 0;
+FacetFiltersForm.abortController = null;
 FacetFiltersForm.searchParamsInitial = window.location.search.slice(1);
 FacetFiltersForm.searchParamsPrev = window.location.search.slice(1);
 customElements.define("facet-filters-form", FacetFiltersForm);
@@ -172,9 +172,20 @@ class QuantityCounter extends HTMLElement {
 
     this.min = parseInt(this.counterEl.min) || 1;
     this.max = parseInt(this.counterEl.max) || 999;
+    // Trade accounts' minimum order quantity. In the cart, going below it
+    // removes the line.
+    this.minQuantity = parseInt(this.dataset.minQuantity) || 1;
 
     this.increaseBtn.addEventListener("click", this.onIncrease.bind(this));
     this.decreaseBtn.addEventListener("click", this.onDecrease.bind(this));
+    this.counterEl.addEventListener("change", this.onChange.bind(this));
+  }
+
+  onChange() {
+    const value = parseInt(this.counterEl.value);
+    if (value > 0 && value < this.minQuantity) {
+      this.counterEl.value = this.minQuantity;
+    }
   }
 
   onIncrease() {
@@ -188,7 +199,9 @@ class QuantityCounter extends HTMLElement {
     const currentValue = parseInt(this.counterEl.value);
     if (this.dataset.cart) this.min = 0;
     if (currentValue > this.min) {
-      this.updateValue(currentValue - 1);
+      this.updateValue(
+        currentValue - 1 < this.minQuantity ? this.min : currentValue - 1,
+      );
     }
   }
 
@@ -225,6 +238,63 @@ function setTabindex(elements, tabindex) {
   });
 }
 
+// Formats an amount in cents with the shop's Liquid money format.
+function formatMoney(cents, format = window.moneyFormats?.money) {
+  const moneyFormat = format || "${{amount}}";
+  const placeholder = /\{\{\s*(\w+)\s*\}\}/;
+  const formatWithDelimiters = (
+    precision,
+    thousands = ",",
+    decimal = ".",
+  ) => {
+    const [whole, fraction] = (cents / 100).toFixed(precision).split(".");
+    return (
+      whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands) +
+      (fraction ? decimal + fraction : "")
+    );
+  };
+  const formatters = {
+    amount: () => formatWithDelimiters(2),
+    amount_no_decimals: () => formatWithDelimiters(0),
+    amount_with_comma_separator: () => formatWithDelimiters(2, ".", ","),
+    amount_no_decimals_with_comma_separator: () =>
+      formatWithDelimiters(0, ".", ","),
+    amount_with_apostrophe_separator: () => formatWithDelimiters(2, "'", "."),
+    amount_with_space_separator: () => formatWithDelimiters(2, " ", ","),
+    amount_no_decimals_with_space_separator: () =>
+      formatWithDelimiters(0, " ", ","),
+  };
+  const match = moneyFormat.match(placeholder);
+  const formatter = formatters[match?.[1]] || formatters.amount;
+
+  return moneyFormat.replace(placeholder, formatter()).replace(/<[^>]*>/g, "");
+}
+
+// Returns the Australian state code a postcode belongs to, or null.
+function getAustralianState(postcode) {
+  const ranges = [
+    ["ACT", 200, 299],
+    ["NT", 800, 999],
+    ["NSW", 1000, 2599],
+    ["ACT", 2600, 2619],
+    ["NSW", 2620, 2899],
+    ["ACT", 2900, 2920],
+    ["NSW", 2921, 2999],
+    ["VIC", 3000, 3999],
+    ["QLD", 4000, 4999],
+    ["SA", 5000, 5999],
+    ["WA", 6000, 6999],
+    ["TAS", 7000, 7999],
+    ["VIC", 8000, 8999],
+    ["QLD", 9000, 9999],
+  ];
+  if (!/^\d{4}$/.test(String(postcode).trim())) return null;
+
+  const number = parseInt(postcode, 10);
+  const range = ranges.find(([, min, max]) => number >= min && number <= max);
+  return range ? range[0] : null;
+}
+
 // Helper function to add multiple event listeners with the same handler
 function addEventListeners(element, events, handler) {
   events.forEach((event) => element.addEventListener(event, handler));
@@ -328,6 +398,32 @@ function onKeyUpEscape(event) {
   summaryElement.focus();
 }
 
+class DetailsDisclosure extends HTMLElement {
+  constructor() {
+    super();
+    this.mainDetailsToggle = this.querySelector("details");
+    this.mainDetailsToggle.addEventListener(
+      "focusout",
+      this.onFocusOut.bind(this),
+    );
+  }
+
+  onFocusOut() {
+    setTimeout(() => {
+      if (!this.contains(document.activeElement)) this.close();
+    });
+  }
+
+  close() {
+    this.mainDetailsToggle.removeAttribute("open");
+    this.mainDetailsToggle
+      .querySelector("summary")
+      .setAttribute("aria-expanded", false);
+  }
+}
+
+customElements.define("details-disclosure", DetailsDisclosure);
+
 class ProductRecommendations extends HTMLElement {
   constructor() {
     super();
@@ -0,0 +1,133 @@
+if (!customElements.get("order-history")) {
+  customElements.define(
+    "order-history",
+    class OrderHistory extends HTMLElement {
+      constructor() {
+        super();
+
+        this.searchInput = this.querySelector(".js-order-history-search");
+        this.filterSelects = this.querySelectorAll(".js-order-history-filter");
+        this.periodSelect = this.querySelector(".js-order-history-period");
+        this.statusElement = this.querySelector(".js-order-history-status");
+        this.emptyElement = this.querySelector(".js-order-history-empty");
+        this.rowsContainer = this.querySelector("tbody");
+        this.allPagesLoaded = !(parseInt(this.dataset.pages) > 1);
+
+        this.populateFilters();
+        this.addEventListener(
+          "input",
+          debounce(this.onInput.bind(this), ON_CHANGE_DEBOUNCE_TIMER),
+        );
+      }
+
+      getRows() {
+        return Array.from(
+          this.rowsContainer.querySelectorAll(".js-order-history-row"),
+        );
+      }
+
+      // Status options come from the orders themselves, so only statuses the
+      // customer actually has are offered.
+      populateFilters() {
+        this.filterSelects.forEach((select) => {
+          const key = select.dataset.filter;
+          const selected = select.value;
+          const statuses = new Map();
+
+          this.getRows().forEach((row) => {
+            if (row.dataset[key]) {
+              statuses.set(row.dataset[key], row.dataset[`${key}Label`]);
+            }
+          });
+
+          select.replaceChildren(
+            select.options[0],
+            ...Array.from(
+              statuses,
+              ([value, label]) => new Option(label, value),
+            ),
+          );
+          select.value = statuses.has(selected) ? selected : "";
+        });
+      }
+
+      async onInput() {
+        await this.loadAllPages();
+        this.filter();
+      }
+
+      // Search and filters cover every order, so the other pages are fetched
+      // the first time they're used and the pagination is dropped.
+      async loadAllPages() {
+        if (this.allPagesLoaded) return;
+        this.allPagesLoaded = true;
+        this.setAttribute("aria-busy", true);
+
+        const currentPage = parseInt(this.dataset.currentPage);
+        const pages = Array.from(
+          { length: parseInt(this.dataset.pages) },
+          (_, index) => index + 1,
+        );
+
+        try {
+          const rows = await Promise.all(
+            pages.map((page) =>
+              page === currentPage ? this.getRows() : this.fetchRows(page),
+            ),
+          );
+
+          this.rowsContainer.replaceChildren(...rows.flat());
+          document.querySelector(".js-order-history-pagination")?.remove();
+          this.populateFilters();
+        } catch (e) {
+          console.error(e);
+          this.allPagesLoaded = false;
+        } finally {
+          this.removeAttribute("aria-busy");
+        }
+      }
+
+      async fetchRows(page) {
+        const url = new URL(window.location.href);
+        url.searchParams.set("page", page);
+
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(response.status);
+
+        const html = new DOMParser().parseFromString(
+          await response.text(),
+          "text/html",
+        );
+        return Array.from(html.querySelectorAll(".js-order-history-row"));
+      }
+
+      filter() {
+        const terms = this.searchInput.value.toLowerCase().split(/\s+/);
+        const days = parseInt(this.periodSelect.value);
+        const placedAfter = days ? Date.now() / 1000 - days * 86400 : 0;
+        const filters = Array.from(this.filterSelects).filter(
+          (select) => select.value,
+        );
+        let count = 0;
+
+        this.getRows().forEach((row) => {
+          const visible =
+            terms.every((term) => row.dataset.search.includes(term)) &&
+            parseInt(row.dataset.createdAt) >= placedAfter &&
+            filters.every(
+              (select) => row.dataset[select.dataset.filter] === select.value,
+            );
+
+          row.hidden = !visible;
+          if (visible) count++;
+        });
+
+        this.emptyElement.hidden = count > 0;
+        this.statusElement.textContent = this.dataset.countText.replace(
+          "[count]",
+          count,
+        );
+      }
+    },
+  );
+}
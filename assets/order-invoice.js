@@ -0,0 +1,39 @@
+if (!customElements.get("order-invoice")) {
+  customElements.define(
+    "order-invoice",
+    class OrderInvoice extends HTMLElement {
+      constructor() {
+        super();
+
+        this.template = this.querySelector("template");
+        this.button = this.querySelector(".js-order-invoice-print");
+
+        this.button.addEventListener("click", this.print.bind(this));
+      }
+
+      // The order history links here with #invoice to print straight away
+      connectedCallback() {
+        if (window.location.hash === "#invoice") this.print();
+      }
+
+      print() {
+        OrderInvoice.cleanUp();
+        document.body.append(
+          this.template.content.firstElementChild.cloneNode(true),
+        );
+        document.body.classList.add("is-printing-invoice");
+        window.addEventListener("afterprint", OrderInvoice.cleanUp, {
+          once: true,
+        });
+        window.print();
+      }
+
+      static cleanUp() {
+        document.body.classList.remove("is-printing-invoice");
+        document
+          .querySelectorAll("body > .order-invoice-document")
+          .forEach((element) => element.remove());
+      }
+    },
+  );
+}
@@ -0,0 +1,75 @@
+if (!customElements.get("order-reorder")) {
+  customElements.define(
+    "order-reorder",
+    class OrderReorder extends HTMLElement {
+      constructor() {
+        super();
+
+        this.button = this.querySelector(".js-order-reorder");
+        this.messageElement = this.querySelector(".js-order-reorder-message");
+
+        this.button.addEventListener("click", this.reorder.bind(this));
+      }
+
+      getItems() {
+        return JSON.parse(
+          this.querySelector('script[type="application/json"]').textContent,
+        ).map((item) => ({
+          ...item,
+          properties: Array.isArray(item.properties)
+            ? Object.fromEntries(item.properties)
+            : item.properties || {},
+        }));
+      }
+
+      async reorder() {
+        if (this.button.getAttribute("aria-disabled") === "true") return;
+
+        const items = this.getItems();
+        // Lines whose product has since been deleted have no variant to add
+        const available = items.filter((item) => item.id);
+
+        this.button.setAttribute("aria-disabled", true);
+        this.messageElement.textContent = "";
+
+        try {
+          const unavailable = [
+            ...items.filter((item) => !item.id),
+            ...(await cartClient.addEach(available, {
+              source: "order-reorder",
+            })),
+          ];
+
+          this.messageElement.textContent = unavailable.length
+            ? this.dataset.unavailableText.replace(
+                "[items]",
+                unavailable.map((item) => item.title).join(", "),
+              )
+            : this.dataset.addedText;
+
+          if (unavailable.length < items.length) {
+            this.showCart(!unavailable.length);
+          }
+        } catch (e) {
+          console.error(e);
+          this.messageElement.textContent = window.cartStrings.error;
+        } finally {
+          this.button.removeAttribute("aria-disabled");
+        }
+      }
+
+      showCart(navigate) {
+        const cartDrawer = document.querySelector("cart-drawer");
+
+        if (cartDrawer?.cartType !== "drawer" || cartDrawer.isCartPage) {
+          if (navigate) window.location = window.routes.cart_url;
+          return;
+        }
+
+        cartDrawer.refreshContents().catch((e) => {
+          console.error(e);
+        });
+      }
+    },
+  );
+}
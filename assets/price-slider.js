@@ -1,6 +1,8 @@
 import noUiSlider from "./nouislider.min.mjs";
 
 class PriceSlider extends HTMLElement {
+  taxDisplayChangeUnsubscriber = undefined;
+
   constructor() {
     super();
     this.init();
@@ -10,6 +12,8 @@ class PriceSlider extends HTMLElement {
     const priceSlider = this.querySelector(".f-price__slider");
     const inputFrom = this.querySelector(".f-price__input--from");
     const inputTo = this.querySelector(".f-price__input--to");
+    const valueFrom = this.querySelector(".f-price__value--from");
+    const valueTo = this.querySelector(".f-price__value--to");
     const rangeMin = parseInt(priceSlider.dataset.min);
     const rangeMax = parseInt(priceSlider.dataset.max);
     const step = parseInt(priceSlider.dataset.step);
@@ -17,9 +21,33 @@ class PriceSlider extends HTMLElement {
     const applyButton = document.querySelector(".btn-checkout.wt-cart__cta");
     const facetForm = document.querySelector("facet-filters-form > form");
     const isSliderInCollapsible = this.closest(".f-price-slider ");
+    // The slider works in store prices; the encoder and decoder convert what
+    // is shown to and from the visitor's GST display choice.
+    const format = wNumb({
+      decimals: 0,
+      thousand: "",
+      prefix: `${currency} `,
+      encoder: (value) => taxDisplay.convert(value * 100) / 100,
+      decoder: (value) => taxDisplay.revert(value * 100) / 100,
+    });
+    const syncValues = () => {
+      [valueFrom.value, valueTo.value] = priceSlider.noUiSlider
+        .get(true)
+        .map(Math.round);
+    };
+    // Typing submits the form before the input's change event fires.
+    const syncTypedValue = (input, valueInput) => {
+      const value = format.from(input.value);
+      if (value !== false) valueInput.value = Math.round(value);
+    };
+    const showValues = () => {
+      [inputFrom.value, inputTo.value] = priceSlider.noUiSlider.get();
+    };
 
     noUiSlider.create(priceSlider, {
-      start: [inputFrom.value || 0, inputTo.value || 0],
+      start: [valueFrom.value || 0, valueTo.value || 0].map((value) =>
+        format.to(parseFloat(value)),
+      ),
       connect: true,
       step,
       tooltips: [true, true],
@@ -27,12 +55,9 @@ class PriceSlider extends HTMLElement {
         min: rangeMin,
         max: rangeMax,
       },
-      format: wNumb({
-        decimals: 0,
-        thousand: "",
-        prefix: `${currency} `,
-      }),
+      format,
     });
+    showValues();
 
     if (isSliderInCollapsible) {
       const uiHandlers = priceSlider.querySelectorAll(".noUi-handle");
@@ -60,18 +85,45 @@ class PriceSlider extends HTMLElement {
 
     inputFrom.addEventListener("change", function () {
       priceSlider.noUiSlider.set([this.value, null]);
+      syncValues();
     });
 
     inputTo.addEventListener("change", function () {
       priceSlider.noUiSlider.set([null, this.value]);
+      syncValues();
+    });
+
+    inputFrom.addEventListener("input", () => {
+      syncTypedValue(inputFrom, valueFrom);
     });
 
+    inputTo.addEventListener("input", () => {
+      syncTypedValue(inputTo, valueTo);
+    });
+
+    this.taxDisplayChangeUnsubscriber = subscribe(
+      PUB_SUB_EVENTS.taxDisplayChange,
+      () => {
+        priceSlider.noUiSlider.set(
+          priceSlider.noUiSlider.get(true).map((value) => format.to(value)),
+          false,
+        );
+        showValues();
+      },
+    );
+
     applyButton.addEventListener("click", () => {
       inputTo.dispatchEvent(new Event("change"));
       inputFrom.dispatchEvent(new Event("change"));
     });
   }
 
+  disconnectedCallback() {
+    if (this.taxDisplayChangeUnsubscriber) {
+      this.taxDisplayChangeUnsubscriber();
+    }
+  }
+
   debounce(func, wait) {
     let timeout;
     return function (...args) {
@@ -19,6 +19,7 @@ if (!customElements.get("product-form")) {
           this.submitButton?.setAttribute("aria-haspopup", "dialog");
 
         this.hideErrors = this.dataset.hideErrors === "true";
+        this.minQuantity = parseInt(this.dataset.minQuantity) || 1;
 
         this.handleErrorMessage = this.handleErrorMessage.bind(this);
         this.redirectAfterSubmit = this.redirectAfterSubmit.bind(this);
@@ -45,6 +46,9 @@ if (!customElements.get("product-form")) {
         evt.preventDefault();
         if (this.submitButton.getAttribute("aria-disabled") === "true") return;
 
+        const formData = new FormData(this.form);
+        if (!this.applyMinQuantity(formData)) return;
+
         this.handleErrorMessage();
         this.cart?.setActiveElement(document.activeElement);
 
@@ -54,20 +58,17 @@ if (!customElements.get("product-form")) {
         this.submitButton.classList.add("loading");
         if (loader) loader.classList.remove("hidden");
 
-        const config = fetchConfig("javascript");
-        config.headers["X-Requested-With"] = "XMLHttpRequest";
-        delete config.headers["Content-Type"];
-
-        const formData = new FormData(this.form);
         formData.append(
           "sections",
           this.cart.getSectionsToRender().map((section) => section.id),
         );
         formData.append("sections_url", window.location.pathname);
-        config.body = formData;
 
-        fetch(`${routes.cart_add_url}`, config)
-          .then((response) => response.json())
+        cartClient
+          .add(formData, {
+            source: "product-form",
+            payload: { productVariantId: formData.get("id") },
+          })
           .then((response) => {
             if (response.status) {
               publish(PUB_SUB_EVENTS.cartError, {
@@ -91,12 +92,6 @@ if (!customElements.get("product-form")) {
               return;
             }
 
-            if (!this.error)
-              publish(PUB_SUB_EVENTS.cartUpdate, {
-                source: "product-form",
-                productVariantId: formData.get("id"),
-                cartData: response,
-              });
             this.error = false;
             const quickAddModal = this.closest("quick-add-modal");
             if (quickAddModal) {
@@ -145,6 +140,22 @@ if (!customElements.get("product-form")) {
           });
       }
 
+      // Trade accounts have a minimum order quantity. Forms without a quantity
+      // field add the minimum; a lower quantity is refused.
+      applyMinQuantity(formData) {
+        if (this.minQuantity <= 1) return true;
+
+        if (!formData.has("quantity")) {
+          formData.set("quantity", this.minQuantity);
+          return true;
+        }
+
+        if (parseInt(formData.get("quantity")) >= this.minQuantity) return true;
+
+        this.handleErrorMessage(this.dataset.minQuantityText);
+        return false;
+      }
+
       disableLoadingInButton(){
         this.submitButton.classList.remove("loading");
         this.querySelector(".loading-overlay__spinner").classList.add(
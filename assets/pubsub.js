@@ -1,23 +1,162 @@
+const PUB_SUB_WILDCARD = "*";
+const PUB_SUB_HISTORY_LIMIT = 50;
+const PUB_SUB_DEBUG_KEY = "pubSubDebug";
+
 let subscribers = {};
+let lastPublished = {};
+let publishHistory = [];
 
-function subscribe(eventName, callback) {
+// Subscribe to an event name, to every event with "*", or to a prefix such
+// as "cart-*". Wildcard callbacks receive the event name as second argument.
+// Options: `once` removes the callback after its first call, `replay` calls it
+// straight away with the last payload published for a matching event.
+function subscribe(eventName, callback, options = {}) {
   if (subscribers[eventName] === undefined) {
     subscribers[eventName] = [];
   }
 
-  subscribers[eventName] = [...subscribers[eventName], callback];
+  const subscriber = { callback, once: Boolean(options.once) };
+  subscribers[eventName] = [...subscribers[eventName], subscriber];
 
-  return function unsubscribe() {
-    subscribers[eventName] = subscribers[eventName].filter((cb) => {
-      return cb !== callback;
+  function unsubscribe() {
+    subscribers[eventName] = subscribers[eventName].filter((entry) => {
+      return entry !== subscriber;
     });
-  };
+  }
+
+  if (options.replay) {
+    const replayed = Object.keys(lastPublished).filter((publishedName) =>
+      matchesPubSubEvent(eventName, publishedName),
+    );
+
+    for (const publishedName of replayed) {
+      callPubSubSubscriber(
+        subscriber,
+        publishedName,
+        lastPublished[publishedName],
+      );
+      if (subscriber.once) {
+        unsubscribe();
+        break;
+      }
+    }
+  }
+
+  return unsubscribe;
+}
+
+function subscribeOnce(eventName, callback, options = {}) {
+  return subscribe(eventName, callback, { ...options, once: true });
 }
 
 function publish(eventName, data) {
-  if (subscribers[eventName]) {
-    subscribers[eventName].forEach((callback) => {
-      callback(data);
+  if (isPubSubDebug()) validatePubSubPayload(eventName, data);
+
+  lastPublished[eventName] = data;
+  publishHistory = [
+    ...publishHistory,
+    { eventName, data, timestamp: Date.now() },
+  ].slice(-PUB_SUB_HISTORY_LIMIT);
+
+  Object.keys(subscribers)
+    .filter((subscribedName) => matchesPubSubEvent(subscribedName, eventName))
+    .forEach((subscribedName) => {
+      subscribers[subscribedName].forEach((subscriber) => {
+        if (subscriber.once) {
+          subscribers[subscribedName] = subscribers[subscribedName].filter(
+            (entry) => entry !== subscriber,
+          );
+        }
+        callPubSubSubscriber(subscriber, eventName, data);
+      });
     });
+}
+
+function matchesPubSubEvent(pattern, eventName) {
+  if (pattern === eventName || pattern === PUB_SUB_WILDCARD) return true;
+  if (!pattern.endsWith(PUB_SUB_WILDCARD)) return false;
+
+  return eventName.startsWith(pattern.slice(0, -PUB_SUB_WILDCARD.length));
+}
+
+// One failing subscriber must not stop the others from hearing the event.
+function callPubSubSubscriber(subscriber, eventName, data) {
+  try {
+    subscriber.callback(data, eventName);
+  } catch (e) {
+    console.error(`[pubsub] "${eventName}" subscriber failed`, e);
+  }
+}
+
+function isPubSubDebug() {
+  try {
+    return localStorage.getItem(PUB_SUB_DEBUG_KEY) === "true";
+  } catch (e) {
+    return false;
+  }
+}
+
+// Debug mode only: warns about events missing from PUB_SUB_EVENTS and about
+// payloads that don't match PUB_SUB_EVENT_SCHEMAS. A "?" type prefix marks an
+// optional field.
+function validatePubSubPayload(eventName, data) {
+  if (!Object.values(PUB_SUB_EVENTS).includes(eventName)) {
+    console.warn(`[pubsub] "${eventName}" is not listed in PUB_SUB_EVENTS`);
+    return;
   }
+
+  const schema = PUB_SUB_EVENT_SCHEMAS[eventName];
+  if (!schema) return;
+
+  if (data === null || typeof data !== "object") {
+    console.warn(`[pubsub] "${eventName}" payload must be an object`, data);
+    return;
+  }
+
+  Object.entries(schema).forEach(([field, type]) => {
+    const optional = type.startsWith("?");
+    const expectedType = optional ? type.slice(1) : type;
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        console.warn(`[pubsub] "${eventName}" payload is missing "${field}"`);
+      }
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? "array" : typeof value;
+    if (actualType !== expectedType) {
+      console.warn(
+        `[pubsub] "${eventName}" payload field "${field}" should be ${expectedType}, got ${actualType}`,
+      );
+    }
+  });
 }
+
+// Console helpers, e.g. `pubSub.history()` or `pubSub.debug(true)`.
+window.pubSub = {
+  subscribe,
+  subscribeOnce,
+  publish,
+  history(eventName) {
+    return eventName
+      ? publishHistory.filter((entry) => entry.eventName === eventName)
+      : [...publishHistory];
+  },
+  clearHistory() {
+    publishHistory = [];
+    lastPublished = {};
+  },
+  subscribers() {
+    return Object.fromEntries(
+      Object.entries(subscribers).map(([eventName, entries]) => [
+        eventName,
+        entries.length,
+      ]),
+    );
+  },
+  debug(enabled = true) {
+    localStorage.setItem(PUB_SUB_DEBUG_KEY, enabled ? "true" : "false");
+  },
+};
@@ -0,0 +1,65 @@
+if (!customElements.get("quantity-breaks")) {
+  customElements.define(
+    "quantity-breaks",
+    class QuantityBreaks extends HTMLElement {
+      constructor() {
+        super();
+
+        this.rows = Array.from(this.querySelectorAll(".quantity-breaks__row"));
+        this.liveElement = this.querySelector(".quantity-breaks__live");
+        this.onQuantityChange = this.onQuantityChange.bind(this);
+      }
+
+      connectedCallback() {
+        this.form = document.getElementById(this.dataset.form);
+        this.form?.addEventListener("change", this.onQuantityChange);
+        this.form?.addEventListener("input", this.onQuantityChange);
+        this.update();
+      }
+
+      disconnectedCallback() {
+        this.form?.removeEventListener("change", this.onQuantityChange);
+        this.form?.removeEventListener("input", this.onQuantityChange);
+      }
+
+      onQuantityChange(event) {
+        if (event.target.name !== "quantity") return;
+        this.update();
+      }
+
+      getQuantity() {
+        const input = this.form?.querySelector('[name="quantity"]');
+        return Math.max(parseInt(input?.value) || 1, 1);
+      }
+
+      getActiveRow(quantity) {
+        return this.rows
+          .filter((row) => quantity >= parseInt(row.dataset.minQuantity))
+          .pop();
+      }
+
+      update() {
+        const activeRow = this.getActiveRow(this.getQuantity());
+        if (!activeRow) return;
+
+        this.rows.forEach((row) =>
+          row.classList.toggle("is-active", row === activeRow),
+        );
+
+        const text = [
+          this.dataset.livePrice.replace("[price]", activeRow.dataset.unitPrice),
+        ];
+        if (activeRow.dataset.savings) {
+          text.push(
+            this.dataset.liveSavings.replace(
+              "[savings]",
+              activeRow.dataset.savings,
+            ),
+          );
+        }
+
+        this.liveElement.textContent = text.join(" · ");
+      }
+    },
+  );
+}
@@ -0,0 +1,386 @@
+class QuoteList extends HTMLElement {
+  static STORAGE_KEY = "quoteList";
+  static PENDING_KEY = "quoteListPending";
+
+  quoteListUpdateUnsubscriber = undefined;
+
+  constructor() {
+    super();
+
+    this.itemsContainer = this.querySelector(".js-quote-items");
+    this.fieldsContainer = this.querySelector(".js-quote-fields");
+    this.template = this.querySelector("template");
+    this.form = this.closest("form");
+
+    this.addEventListener("click", this.onClick.bind(this));
+    this.addEventListener(
+      "change",
+      debounce((event) => {
+        this.onChange(event);
+      }, ON_CHANGE_DEBOUNCE_TIMER),
+    );
+    this.form?.addEventListener("submit", this.onSubmit.bind(this));
+  }
+
+  connectedCallback() {
+    if (
+      this.dataset.submitted === "true" &&
+      sessionStorage.getItem(QuoteList.PENDING_KEY)
+    ) {
+      sessionStorage.removeItem(QuoteList.PENDING_KEY);
+      QuoteList.setItems([]);
+    }
+
+    this.render();
+    this.quoteListUpdateUnsubscriber = subscribe(
+      PUB_SUB_EVENTS.quoteListUpdate,
+      this.render.bind(this),
+    );
+  }
+
+  disconnectedCallback() {
+    if (this.quoteListUpdateUnsubscriber) {
+      this.quoteListUpdateUnsubscriber();
+    }
+  }
+
+  static getItems() {
+    try {
+      return JSON.parse(localStorage.getItem(QuoteList.STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static setItems(items) {
+    localStorage.setItem(QuoteList.STORAGE_KEY, JSON.stringify(items));
+    publish(PUB_SUB_EVENTS.quoteListUpdate, { items });
+  }
+
+  add(item) {
+    const items = QuoteList.getItems();
+    const existingItem = items.find(
+      (quoteItem) => quoteItem.variantId === item.variantId,
+    );
+
+    if (existingItem) {
+      existingItem.quantity += item.quantity;
+    } else {
+      items.push(item);
+    }
+
+    QuoteList.setItems(items);
+  }
+
+  remove(variantId) {
+    QuoteList.setItems(
+      QuoteList.getItems().filter((item) => item.variantId !== variantId),
+    );
+  }
+
+  updateQuantity(variantId, quantity) {
+    if (quantity < 1) return this.remove(variantId);
+
+    QuoteList.setItems(
+      QuoteList.getItems().map((item) =>
+        item.variantId === variantId ? { ...item, quantity } : item,
+      ),
+    );
+  }
+
+  onClick(event) {
+    const removeButton = event.target.closest(".js-quote-remove");
+    if (!removeButton) return;
+
+    event.preventDefault();
+    this.remove(parseInt(removeButton.dataset.variantId));
+  }
+
+  onChange(event) {
+    if (!event.target.classList.contains("js-counter-quantity")) return;
+
+    this.updateQuantity(
+      parseInt(event.target.dataset.variantId),
+      parseInt(event.target.value) || 0,
+    );
+  }
+
+  onSubmit(event) {
+    const items = QuoteList.getItems();
+    if (!items.length) {
+      event.preventDefault();
+      return;
+    }
+
+    this.renderFields(items);
+    sessionStorage.setItem(QuoteList.PENDING_KEY, "true");
+  }
+
+  render() {
+    const items = QuoteList.getItems();
+
+    this.classList.toggle("is-empty", items.length === 0);
+    this.itemsContainer.replaceChildren(
+      ...items.map((item) => this.renderItem(item)),
+    );
+    this.renderFields(items);
+  }
+
+  renderItem(item) {
+    const element = this.template.content.firstElementChild.cloneNode(true);
+    const image = element.querySelector(".js-quote-image");
+    const quantityInput = element.querySelector(".js-counter-quantity");
+    const removeButton = element.querySelector(".js-quote-remove");
+
+    element
+      .querySelectorAll(".js-quote-link")
+      .forEach((link) => (link.href = item.url));
+    element.querySelector(".js-quote-title").textContent = item.title;
+
+    if (item.image) {
+      image.src = item.image;
+      image.alt = item.title;
+    } else {
+      image.remove();
+    }
+
+    [
+      [".js-quote-variant", item.variantTitle],
+      [".js-quote-sku", item.sku],
+    ].forEach(([selector, value]) => {
+      const option = element.querySelector(selector);
+      if (value) {
+        option.querySelector(".value").textContent = value;
+      } else {
+        option.remove();
+      }
+    });
+
+    quantityInput.value = item.quantity;
+    quantityInput.dataset.variantId = item.variantId;
+    removeButton.dataset.variantId = item.variantId;
+    removeButton.setAttribute(
+      "aria-label",
+      removeButton.getAttribute("aria-label").replace("[title]", item.title),
+    );
+
+    return element;
+  }
+
+  renderFields(items) {
+    if (!this.fieldsContainer) return;
+
+    this.fieldsContainer.innerHTML = "";
+    items.forEach((item, index) => {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = `contact[Quote item ${index + 1}]`;
+      input.value = [
+        `${item.quantity} x ${item.title}${item.variantTitle ? ` - ${item.variantTitle}` : ""}`,
+        item.sku && `SKU: ${item.sku}`,
+        `Variant ID: ${item.variantId}`,
+        `${window.shopUrl}${item.url}`,
+      ]
+        .filter(Boolean)
+        .join(" | ");
+      this.fieldsContainer.appendChild(input);
+    });
+  }
+}
+
+customElements.define("quote-list", QuoteList);
+
+class QuoteDrawerSection extends HTMLElement {
+  quoteListUpdateUnsubscriber = undefined;
+
+  constructor() {
+    super();
+
+    this.drawerClass = "wt-cart__drawer";
+    this.drawer = this.querySelector(`.${this.drawerClass}`);
+    this.classDrawerActive = `${this.drawerClass}--open`;
+    this.pageOverlayClass = "page-overlay-quote";
+    this.activeOverlayBodyClass = `${this.pageOverlayClass}-on`;
+    this.body = document.body;
+    this.triggerQuery = [
+      ".wt-quote__trigger",
+      `.${this.pageOverlayClass}`,
+    ].join(", ");
+    this.triggers = () => document.querySelectorAll(this.triggerQuery);
+    this.isOpen = false;
+    this.closeButton = () => this.querySelector(".wt-quote__drawer__close");
+    this.mainTrigger = document.querySelector(".wt-quote__trigger");
+    this.counters = () => document.querySelectorAll(".wt-quote__count");
+    this.toggleEelements = () =>
+      this.querySelectorAll(this.dataset.toggleTabindex);
+  }
+
+  connectedCallback() {
+    this.init();
+    this.updateTriggers();
+    this.quoteListUpdateUnsubscriber = subscribe(
+      PUB_SUB_EVENTS.quoteListUpdate,
+      () => {
+        this.updateTriggers();
+        setTimeout(() => {
+          if (this.isOpen) setTabindex(this.toggleEelements(), "0");
+        });
+      },
+    );
+
+    if (this.querySelector("quote-list[data-submitted='true']")) this.open();
+  }
+
+  disconnectedCallback() {
+    if (this.quoteListUpdateUnsubscriber) {
+      this.quoteListUpdateUnsubscriber();
+    }
+  }
+
+  getFocusableElements() {
+    const focusableElementsSelector =
+      "button, [href], input:not([type='hidden']), select, textarea, [tabindex]";
+    const focusableElements = () =>
+      Array.from(this.querySelectorAll(focusableElementsSelector)).filter(
+        (el) => !el.hasAttribute("disabled") && el.tabIndex >= 0,
+      );
+
+    return {
+      focusableElements,
+      first: focusableElements()[0],
+      last: focusableElements()[focusableElements().length - 1],
+    };
+  }
+
+  updateTriggers() {
+    const count = QuoteList.getItems().reduce(
+      (total, item) => total + item.quantity,
+      0,
+    );
+
+    this.counters().forEach((counter) => (counter.textContent = count));
+    this.mainTrigger?.toggleAttribute("hidden", count === 0);
+  }
+
+  onToggle() {
+    if (this.hasAttribute("open")) {
+      this.removeAttribute("open");
+      this.isOpen = false;
+      this.mainTrigger?.focus();
+      setTabindex(this.toggleEelements(), "-1");
+    } else {
+      this.setAttribute("open", "");
+      this.isOpen = true;
+      this.closeButton().focus();
+      setTabindex(this.toggleEelements(), "0");
+    }
+  }
+
+  toggleDrawerClasses() {
+    this.onToggle();
+    this.drawer.classList.toggle(this.classDrawerActive);
+    this.body.classList.toggle(this.activeOverlayBodyClass);
+  }
+
+  open() {
+    if (!this.isOpen) this.toggleDrawerClasses();
+  }
+
+  init() {
+    this.addEventListener("keydown", (e) => {
+      const isTabPressed =
+        e.key === "Tab" || e.keyCode === 9 || e.code === "Tab";
+      const { first, last } = this.getFocusableElements();
+
+      if (e.key === "Escape" || e.keyCode === 27 || e.code === "Escape") {
+        if (this.isOpen) {
+          this.toggleDrawerClasses();
+        }
+      }
+
+      if (isTabPressed) {
+        if (e.shiftKey && document.activeElement === first) {
+          last.focus();
+          e.preventDefault();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          first.focus();
+          e.preventDefault();
+        }
+      }
+    });
+
+    this.triggers().forEach((trigger) => {
+      trigger.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.toggleDrawerClasses();
+      });
+    });
+
+    this.addEventListener("click", (e) => {
+      if (e.target.closest(".wt-quote__drawer__close")) {
+        e.preventDefault();
+        this.toggleDrawerClasses();
+      }
+    });
+  }
+}
+
+customElements.define("quote-drawer", QuoteDrawerSection);
+
+class QuoteAddButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.button = this.querySelector("button");
+    this.button?.addEventListener("click", this.onClick.bind(this));
+  }
+
+  // Reads the product form of the button's own section, which holds the
+  // selected variant, so quick-add modals and featured products elsewhere on
+  // the page don't choose it.
+  getVariantId(product) {
+    const section = this.closest(".shopify-section");
+    const sectionId = section?.id.replace("shopify-section-", "");
+    const variantInput = document.querySelector(
+      `#product-form-${sectionId} input[name="id"]`,
+    );
+    const variantId = variantInput?.value || this.dataset.variantId;
+
+    return parseInt(variantId) || product.variants[0].id;
+  }
+
+  onClick(event) {
+    event.preventDefault();
+    if (this.button.getAttribute("aria-disabled") === "true") return;
+    this.button.setAttribute("aria-disabled", true);
+
+    fetch(`${this.dataset.productUrl}.js`)
+      .then((response) => response.json())
+      .then((product) => {
+        const variantId = this.getVariantId(product);
+        const variant =
+          product.variants.find((item) => item.id === variantId) ||
+          product.variants[0];
+        const image = variant.featured_image?.src || product.featured_image;
+
+        document.querySelector("quote-list")?.add({
+          variantId: variant.id,
+          title: product.title,
+          variantTitle: product.variants.length > 1 ? variant.title : "",
+          sku: variant.sku,
+          url: `${product.url}?variant=${variant.id}`,
+          image,
+          quantity: 1,
+        });
+        document.querySelector("quote-drawer")?.open();
+      })
+      .catch((e) => {
+        console.error(e);
+      })
+      .finally(() => {
+        this.button.removeAttribute("aria-disabled");
+      });
+  }
+}
+
+customElements.define("quote-add-button", QuoteAddButton);
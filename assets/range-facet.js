@@ -0,0 +1,115 @@
+import noUiSlider from "./nouislider.min.mjs";
+
+// A slider over a list filter's numeric values. Moving it checks the value
+// checkboxes inside the range, then submits the facet form like the price
+// slider does.
+class RangeFacet extends HTMLElement {
+  constructor() {
+    super();
+    this.init();
+  }
+
+  init() {
+    const slider = this.querySelector(".f-range__slider");
+    const inputFrom = this.querySelector(".f-range__input--from");
+    const inputTo = this.querySelector(".f-range__input--to");
+    const facetForm = document.querySelector("facet-filters-form > form");
+    const step = parseFloat(this.dataset.step) || 1;
+    const unit = this.dataset.unit;
+    const checkboxes = Array.from(
+      this.querySelectorAll(".f-range__value"),
+    ).filter((checkbox) => !Number.isNaN(parseFloat(checkbox.value)));
+    const valueOf = (checkbox) => parseFloat(checkbox.value);
+    const values = checkboxes.map(valueOf);
+    const checkedValues = checkboxes
+      .filter((checkbox) => checkbox.checked)
+      .map(valueOf);
+    const rangeMin = Math.min(...values);
+    const rangeMax = Math.max(...values);
+    const format = wNumb({
+      decimals: (String(step).split(".")[1] || "").length,
+      thousand: "",
+      suffix: unit ? ` ${unit}` : "",
+    });
+
+    if (values.length < 2 || rangeMin === rangeMax) {
+      this.hidden = true;
+      return;
+    }
+
+    // An empty range would clear the filter instead, so it takes the value
+    // nearest to the range.
+    const applyRange = ([from, to]) => {
+      const isFullRange = from <= rangeMin && to >= rangeMax;
+      let inRange = values.filter((value) => value >= from && value <= to);
+
+      if (!inRange.length) {
+        const middle = (from + to) / 2;
+        const nearest = values.reduce((closest, value) =>
+          Math.abs(value - middle) < Math.abs(closest - middle)
+            ? value
+            : closest,
+        );
+
+        inRange = [nearest];
+        slider.noUiSlider.set([format.to(nearest), format.to(nearest)], false);
+      }
+
+      checkboxes.forEach((checkbox) => {
+        checkbox.checked = !isFullRange && inRange.includes(valueOf(checkbox));
+      });
+    };
+    const showValues = () => {
+      [inputFrom.value, inputTo.value] = slider.noUiSlider.get();
+    };
+    const submit = debounce(() => {
+      facetForm.dispatchEvent(new Event("input"));
+    }, 300);
+
+    noUiSlider.create(slider, {
+      start: (checkedValues.length
+        ? [Math.min(...checkedValues), Math.max(...checkedValues)]
+        : [rangeMin, rangeMax]
+      ).map((value) => format.to(value)),
+      connect: true,
+      step,
+      tooltips: [true, true],
+      range: {
+        min: rangeMin,
+        max: rangeMax,
+      },
+      format,
+    });
+    showValues();
+
+    if (this.closest(".f-range")) {
+      setTabindex(slider.querySelectorAll(".noUi-handle"), "-1");
+    }
+
+    slider.noUiSlider.on("change", () => {
+      applyRange(slider.noUiSlider.get(true));
+      showValues();
+      submit();
+    });
+
+    [inputFrom, inputTo].forEach((input, handle) => {
+      // Typing submits the form before the input's change event fires
+      input.addEventListener("input", () => {
+        const range = slider.noUiSlider.get(true);
+        const value = format.from(input.value);
+
+        if (value === false) return;
+        range[handle] = value;
+        applyRange(range);
+      });
+
+      input.addEventListener("change", () => {
+        slider.noUiSlider.set(handle ? [null, input.value] : [input.value]);
+        applyRange(slider.noUiSlider.get(true));
+        showValues();
+      });
+    });
+  }
+}
+
+customElements.define("range-facet", RangeFacet);
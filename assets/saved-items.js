@@ -0,0 +1,323 @@
+if (!customElements.get("saved-items")) {
+  customElements.define(
+    "saved-items",
+    class SavedItems extends HTMLElement {
+      static STORAGE_KEY = "savedItems";
+      static CUSTOMER_KEY = "savedItemsCustomer";
+      static customerSynced = false;
+
+      savedItemsUpdateUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.itemsContainer = this.querySelector(".js-saved-items");
+        this.errorElement = this.querySelector(".js-saved-items-error");
+        this.template = this.querySelector("template");
+
+        this.addEventListener("click", this.onClick.bind(this));
+      }
+
+      connectedCallback() {
+        SavedItems.syncCustomerItems();
+        this.render();
+        this.savedItemsUpdateUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.savedItemsUpdate,
+          this.render.bind(this),
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.savedItemsUpdateUnsubscriber) {
+          this.savedItemsUpdateUnsubscriber();
+        }
+      }
+
+      static getSettings() {
+        return window.savedItemsSettings || {};
+      }
+
+      static getItems() {
+        try {
+          return (
+            JSON.parse(localStorage.getItem(SavedItems.STORAGE_KEY)) || []
+          );
+        } catch (e) {
+          return [];
+        }
+      }
+
+      static setItems(items, { persist = true } = {}) {
+        localStorage.setItem(SavedItems.STORAGE_KEY, JSON.stringify(items));
+        if (persist) SavedItems.persistCustomerItems(items);
+        publish(PUB_SUB_EVENTS.savedItemsUpdate, { items });
+      }
+
+      // Lines of one variant with different properties are saved separately
+      static getKey(item) {
+        return `${item.variantId}:${JSON.stringify(item.properties || {})}`;
+      }
+
+      static find(key) {
+        return SavedItems.getItems().find(
+          (item) => SavedItems.getKey(item) === key,
+        );
+      }
+
+      static add(item) {
+        const key = SavedItems.getKey(item);
+        const items = SavedItems.getItems().filter(
+          (savedItem) => SavedItems.getKey(savedItem) !== key,
+        );
+        SavedItems.setItems([item, ...items]);
+      }
+
+      static remove(key) {
+        SavedItems.setItems(
+          SavedItems.getItems().filter(
+            (item) => SavedItems.getKey(item) !== key,
+          ),
+        );
+      }
+
+      // Logged-in customers start from the list stored in their metafield,
+      // merged with anything saved on this device before they signed in. A
+      // list left by another customer, or by one who has signed out, is
+      // dropped so it isn't shown to whoever uses the device next.
+      static syncCustomerItems() {
+        const { customerId, customerItems } = SavedItems.getSettings();
+        if (SavedItems.customerSynced) return;
+        SavedItems.customerSynced = true;
+
+        const owner = localStorage.getItem(SavedItems.CUSTOMER_KEY);
+        if (owner && owner !== String(customerId)) {
+          localStorage.removeItem(SavedItems.STORAGE_KEY);
+          localStorage.removeItem(SavedItems.CUSTOMER_KEY);
+        }
+        if (!customerId) return;
+        localStorage.setItem(SavedItems.CUSTOMER_KEY, customerId);
+
+        const localItems = SavedItems.getItems();
+        const items = [
+          ...localItems,
+          ...(customerItems || []).filter(
+            (customerItem) =>
+              !localItems.some(
+                (item) =>
+                  SavedItems.getKey(item) === SavedItems.getKey(customerItem),
+              ),
+          ),
+        ];
+        const changed = items.length !== (customerItems || []).length;
+
+        SavedItems.setItems(items, { persist: changed });
+      }
+
+      // The storefront can't write customer metafields itself, so the list is
+      // posted to an app proxy endpoint that saves it to custom.saved_items.
+      // The proxy identifies the customer from the logged_in_customer_id
+      // Shopify adds to the signed request, never from the request body.
+      static persistCustomerItems(items) {
+        const { customerId, endpoint } = SavedItems.getSettings();
+        if (!customerId || !endpoint) return;
+
+        fetch(endpoint, {
+          ...fetchConfig(),
+          body: JSON.stringify({ items }),
+        }).catch((e) => {
+          console.error(e);
+        });
+      }
+
+      getCartItems() {
+        return document.querySelector(this.dataset.cartItems);
+      }
+
+      onClick(event) {
+        const restoreButton = event.target.closest(".js-saved-restore");
+        const removeButton = event.target.closest(".js-saved-remove");
+
+        if (restoreButton) {
+          event.preventDefault();
+          this.restore(restoreButton.dataset.itemKey, restoreButton);
+        } else if (removeButton) {
+          event.preventDefault();
+          SavedItems.remove(removeButton.dataset.itemKey);
+        }
+      }
+
+      restore(key, button) {
+        if (button.hasAttribute("aria-disabled")) return;
+
+        const item = SavedItems.find(key);
+        if (!item) return;
+
+        const cartItems = this.getCartItems();
+        const sections = cartItems
+          ? cartItems.getSectionsToRender().map((section) => section.section)
+          : [];
+
+        this.errorElement.textContent = "";
+        button.setAttribute("aria-disabled", true);
+
+        cartClient
+          .add(
+            {
+              items: [
+                {
+                  id: item.variantId,
+                  quantity: item.quantity,
+                  properties: item.properties || {},
+                },
+              ],
+              sections,
+              sections_url: window.location.pathname,
+            },
+            {
+              source: "saved-items",
+              payload: { productVariantId: String(item.variantId) },
+            },
+          )
+          .then((response) => {
+            if (response.status) {
+              this.errorElement.textContent =
+                response.description || window.cartStrings.error;
+              return;
+            }
+
+            SavedItems.remove(key);
+            if (cartItems && response.sections) {
+              cartItems.renderSections(response);
+            }
+          })
+          .catch((e) => {
+            console.error(e);
+            this.errorElement.textContent = window.cartStrings.error;
+          })
+          .finally(() => {
+            button.removeAttribute("aria-disabled");
+          });
+      }
+
+      render() {
+        const items = SavedItems.getItems();
+
+        this.hidden = items.length === 0;
+        this.itemsContainer.replaceChildren(
+          ...items.map((item) => this.renderItem(item)),
+        );
+      }
+
+      renderItem(item) {
+        const element = this.template.content.firstElementChild.cloneNode(true);
+        const image = element.querySelector(".js-saved-image");
+
+        element
+          .querySelectorAll(".js-saved-link")
+          .forEach((link) => (link.href = item.url));
+        element.querySelector(".js-saved-title").textContent = item.title;
+        element.querySelector(".js-saved-price").textContent = item.price;
+
+        if (item.image) {
+          image.src = item.image;
+          image.alt = item.title;
+        } else {
+          image.remove();
+        }
+
+        const variant = element.querySelector(".js-saved-variant");
+        if (item.variantTitle) {
+          variant.textContent = item.variantTitle;
+        } else {
+          variant.remove();
+        }
+
+        element
+          .querySelectorAll(".js-saved-restore, .js-saved-remove")
+          .forEach((button) => {
+            button.dataset.itemKey = SavedItems.getKey(item);
+            button.setAttribute(
+              "aria-label",
+              button.getAttribute("aria-label").replace("[title]", item.title),
+            );
+          });
+
+        return element;
+      }
+    },
+  );
+}
+
+if (!customElements.get("cart-save-button")) {
+  customElements.define(
+    "cart-save-button",
+    class CartSaveButton extends HTMLElement {
+      constructor() {
+        super();
+
+        this.addEventListener("click", (event) => {
+          event.preventDefault();
+          this.save();
+        });
+      }
+
+      // The line is only saved once the cart has dropped it, so a failed
+      // removal doesn't leave the item both in the cart and saved for later.
+      save() {
+        if (this.hasAttribute("aria-disabled")) return;
+
+        const cartItems =
+          this.closest("cart-items") || this.closest("cart-drawer-items");
+
+        this.setAttribute("aria-disabled", true);
+        cartItems.pendingChanges.delete(this.dataset.key);
+
+        cartClient
+          .change(
+            {
+              id: this.dataset.key,
+              quantity: 0,
+              sections: cartItems
+                .getSectionsToRender()
+                .map((section) => section.section),
+              sections_url: window.location.pathname,
+            },
+            { source: "cart-save-button" },
+          )
+          .then((parsedState) => {
+            if (parsedState.errors || parsedState.status) {
+              cartItems.updateLiveRegions(
+                this.dataset.index,
+                parsedState.errors ||
+                  parsedState.description ||
+                  window.cartStrings.error,
+              );
+              return;
+            }
+
+            customElements.get("saved-items").add({
+              variantId: parseInt(this.dataset.variantId),
+              title: this.dataset.title,
+              variantTitle: this.dataset.variantTitle,
+              url: this.dataset.url,
+              image: this.dataset.image,
+              price: this.dataset.price,
+              quantity: parseInt(this.dataset.quantity) || 1,
+              properties: JSON.parse(this.dataset.properties || "{}"),
+            });
+            cartItems.renderSections(parsedState);
+          })
+          .catch((e) => {
+            console.error(e);
+            cartItems.updateLiveRegions(
+              this.dataset.index,
+              window.cartStrings.error,
+            );
+          })
+          .finally(() => {
+            this.removeAttribute("aria-disabled");
+          });
+      }
+    },
+  );
+}
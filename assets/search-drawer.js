@@ -197,6 +197,10 @@ class DrawerSearchSection extends HTMLElement {
   getSearchResults(searchTerm) {
     const queryKey = searchTerm.replace(" ", "-").toLowerCase();
     this.setLiveRegionLoadingState();
+    publish(PUB_SUB_EVENTS.predictiveSearch, {
+      source: "search-drawer",
+      searchTerm,
+    });
 
     if (this.cachedResults[queryKey]) {
       this.renderSearchResults(this.cachedResults[queryKey]);
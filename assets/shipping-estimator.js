@@ -0,0 +1,204 @@
+if (!customElements.get("shipping-estimator")) {
+  customElements.define(
+    "shipping-estimator",
+    class ShippingEstimator extends HTMLElement {
+      static STORAGE_KEY = "shippingEstimatorPostcode";
+      // localStorage.shippingRatesMock = "true" answers with MOCK_RATES instead
+      // of calling Shopify, for local development and theme previews.
+      static MOCK_KEY = "shippingRatesMock";
+      static MOCK_RATES = [
+        { name: "Metro delivery", price: "49.00", metro: true },
+        { name: "Tail-lift freight", price: "149.00" },
+        { name: "Depot pick-up", price: "0.00", metro: true },
+      ];
+      static POLL_INTERVAL = 500;
+      static MAX_POLLS = 20;
+
+      // The cart footer is re-rendered after every cart change; estimators
+      // rendered after a lookup on this page refresh rates for the new cart.
+      static estimatedPostcode = null;
+      static pendingRequests = new Map();
+
+      constructor() {
+        super();
+
+        this.form = this.querySelector("form");
+        this.input = this.querySelector('input[name="postcode"]');
+        this.button = this.querySelector('button[type="submit"]');
+        this.ratesList = this.querySelector(".js-shipping-rates");
+        this.statusElement = this.querySelector(".js-shipping-status");
+
+        this.form.addEventListener("submit", this.onSubmit.bind(this));
+      }
+
+      connectedCallback() {
+        const postcode =
+          ShippingEstimator.estimatedPostcode ||
+          localStorage.getItem(ShippingEstimator.STORAGE_KEY);
+        if (postcode) this.input.value = postcode;
+
+        if (ShippingEstimator.estimatedPostcode) {
+          this.estimate(ShippingEstimator.estimatedPostcode);
+        }
+      }
+
+      onSubmit(event) {
+        event.preventDefault();
+        const postcode = this.input.value.trim();
+        if (!postcode) return;
+
+        localStorage.setItem(ShippingEstimator.STORAGE_KEY, postcode);
+        ShippingEstimator.estimatedPostcode = postcode;
+        this.estimate(postcode);
+      }
+
+      getAddressParams(postcode) {
+        const country = this.dataset.country;
+        const province = country === "AU" ? getAustralianState(postcode) : null;
+        const params = new URLSearchParams({
+          "shipping_address[zip]": postcode,
+          "shipping_address[country]": country,
+        });
+
+        if (province) params.append("shipping_address[province]", province);
+        return params.toString();
+      }
+
+      estimate(postcode) {
+        this.setLoading(true);
+        this.statusElement.textContent = "";
+        this.ratesList.replaceChildren();
+
+        ShippingEstimator.fetchRates(this.getAddressParams(postcode))
+          .then((rates) => {
+            this.renderRates(rates, postcode);
+          })
+          .catch((error) => {
+            this.statusElement.textContent =
+              error.message || window.cartStrings.error;
+          })
+          .finally(() => {
+            this.setLoading(false);
+          });
+      }
+
+      // A footer re-rendered mid-lookup asks for the same address again;
+      // share the running request instead of preparing rates twice.
+      static fetchRates(params) {
+        if (!ShippingEstimator.pendingRequests.has(params)) {
+          const request = (
+            localStorage.getItem(ShippingEstimator.MOCK_KEY) === "true"
+              ? ShippingEstimator.fetchMockRates(params)
+              : ShippingEstimator.prepareRates(params).then(() =>
+                  ShippingEstimator.pollRates(params),
+                )
+          ).finally(() => {
+            ShippingEstimator.pendingRequests.delete(params);
+          });
+
+          ShippingEstimator.pendingRequests.set(params, request);
+        }
+
+        return ShippingEstimator.pendingRequests.get(params);
+      }
+
+      static prepareRates(params) {
+        return fetch(
+          `${routes.cart_url}/prepare_shipping_rates.json?${params}`,
+          { method: "POST" },
+        ).then((response) => {
+          if (response.ok) return;
+
+          return response.json().then((errors) => {
+            throw new Error(ShippingEstimator.getErrorMessage(errors));
+          });
+        });
+      }
+
+      // Shopify calculates rates in the background and answers 202 until
+      // they are ready.
+      static async pollRates(params) {
+        for (let poll = 0; poll < ShippingEstimator.MAX_POLLS; poll++) {
+          const response = await fetch(
+            `${routes.cart_url}/async_shipping_rates.json?${params}`,
+          );
+          const data = JSON.parse((await response.text()) || "null");
+
+          if (!response.ok) {
+            throw new Error(ShippingEstimator.getErrorMessage(data));
+          }
+          if (response.status === 200 && data?.shipping_rates) {
+            return data.shipping_rates;
+          }
+
+          await new Promise((resolve) =>
+            setTimeout(resolve, ShippingEstimator.POLL_INTERVAL),
+          );
+        }
+
+        throw new Error(window.cartStrings.error);
+      }
+
+      static fetchMockRates(params) {
+        const postcode = new URLSearchParams(params).get(
+          "shipping_address[zip]",
+        );
+        const metro = /^[2-7]0/.test(postcode);
+
+        return new Promise((resolve) =>
+          setTimeout(resolve, ShippingEstimator.POLL_INTERVAL),
+        ).then(() =>
+          ShippingEstimator.MOCK_RATES.filter((rate) => metro || !rate.metro),
+        );
+      }
+
+      static getErrorMessage(errors) {
+        if (!errors || typeof errors !== "object") {
+          return window.cartStrings.error;
+        }
+
+        return Object.entries(errors)
+          .map(([field, messages]) =>
+            [field === "base" ? "" : field, [].concat(messages).join(", ")]
+              .join(" ")
+              .trim(),
+          )
+          .join("; ");
+      }
+
+      setLoading(loading) {
+        this.classList.toggle("is-loading", loading);
+        this.button.toggleAttribute("disabled", loading);
+        this.setAttribute("aria-busy", loading);
+      }
+
+      renderRates(rates, postcode) {
+        if (!rates.length) {
+          this.statusElement.textContent = this.dataset.noRatesText;
+          return;
+        }
+
+        this.statusElement.textContent = this.dataset.ratesText.replace(
+          "[postcode]",
+          postcode,
+        );
+        this.ratesList.replaceChildren(
+          ...rates.map((rate) => {
+            const item = document.createElement("li");
+            const name = document.createElement("span");
+            const price = document.createElement("span");
+            const cents = Math.round(parseFloat(rate.price) * 100);
+
+            item.className = "shipping-estimator__rate";
+            name.textContent = rate.presentment_name || rate.name;
+            price.className = "shipping-estimator__price";
+            price.textContent = cents ? formatMoney(cents) : this.dataset.freeText;
+            item.append(name, price);
+
+            return item;
+          }),
+        );
+      }
+    },
+  );
+}
@@ -0,0 +1,112 @@
+if (!customElements.get("shipping-threshold")) {
+  customElements.define(
+    "shipping-threshold",
+    class ShippingThreshold extends HTMLElement {
+      cartUpdateUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.tiers = ShippingThreshold.parse(
+          this.dataset.tiers || "",
+          this.dataset.market,
+        );
+        this.textElement = this.querySelector(".shipping-threshold__text");
+        this.barElement = this.querySelector(".shipping-threshold__bar");
+        this.progressElement = this.querySelector(
+          ".shipping-threshold__progress",
+        );
+      }
+
+      connectedCallback() {
+        this.render(parseInt(this.dataset.cartTotal));
+        this.cartUpdateUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartUpdate,
+          this.onCartUpdate.bind(this),
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      // Each line is `amount | reward`, or `market handle | amount | reward` to
+      // override the tiers for one market. Amounts are in the store currency.
+      static parse(tiers, market = "") {
+        const parsedTiers = tiers
+          .split(/\r?\n/)
+          .map((line) => line.split("|").map((part) => part.trim()))
+          .filter((parts) => parts.length >= 2)
+          .map((parts) =>
+            parts.length > 2
+              ? {
+                  market: parts[0].toLowerCase(),
+                  amount: parseFloat(parts[1]),
+                  reward: parts.slice(2).join(" | "),
+                }
+              : { market: "", amount: parseFloat(parts[0]), reward: parts[1] },
+          )
+          .filter((tier) => tier.amount > 0 && tier.reward);
+        const marketTiers = parsedTiers.filter(
+          (tier) => tier.market === market.toLowerCase(),
+        );
+
+        return (
+          marketTiers.length
+            ? marketTiers
+            : parsedTiers.filter((tier) => !tier.market)
+        ).sort((a, b) => a.amount - b.amount);
+      }
+
+      onCartUpdate(event) {
+        const cart =
+          typeof event?.cartData?.total_price === "number"
+            ? Promise.resolve(event.cartData)
+            : cartClient.get();
+
+        cart
+          .then((cartData) => {
+            this.render(cartData.total_price);
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      getThreshold(tier) {
+        const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+        return Math.round(tier.amount * 100 * rate);
+      }
+
+      render(totalPrice) {
+        this.hidden = !this.tiers.length || !totalPrice;
+        if (this.hidden) return;
+
+        const nextTier = this.tiers.find(
+          (tier) => totalPrice < this.getThreshold(tier),
+        );
+        const reachedTier = this.tiers
+          .filter((tier) => totalPrice >= this.getThreshold(tier))
+          .pop();
+        const progress = nextTier
+          ? Math.floor((totalPrice / this.getThreshold(nextTier)) * 100)
+          : 100;
+
+        this.textElement.textContent = nextTier
+          ? this.dataset.remainingText
+              .replace(
+                "[amount]",
+                formatMoney(this.getThreshold(nextTier) - totalPrice),
+              )
+              .replace("[reward]", nextTier.reward)
+          : this.dataset.unlockedText.replace("[reward]", reachedTier.reward);
+
+        this.classList.toggle("is-complete", !nextTier);
+        this.barElement.style.width = `${progress}%`;
+        this.progressElement.setAttribute("aria-valuenow", progress);
+      }
+    },
+  );
+}
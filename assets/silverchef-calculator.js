@@ -12,6 +12,10 @@ class SilverchefCalculator {
     this.loadingContainer = null;
     this.breakdownContainer = null;
     this.errorContainer = null;
+    this.termsContainer = null;
+    this.provider = createSilverchefProvider();
+    this.quotes = [];
+    this.selectedTerm = null;
     
     this.init();
   }
@@ -56,6 +60,29 @@ class SilverchefCalculator {
         this.calculatePayments();
       }
     });
+
+    // Term selection in the comparison table
+    document.addEventListener('change', (e) => {
+      if (e.target.matches('[name="silverchef-term"]')) {
+        this.selectTerm(parseInt(e.target.value));
+      }
+    });
+
+    // Amounts follow the GST inclusive/exclusive toggle
+    subscribe(PUB_SUB_EVENTS.taxDisplayChange, ({ mode }) => {
+      this.onTaxDisplayChange(mode);
+    });
+  }
+
+  onTaxDisplayChange(mode) {
+    const amount = parseFloat(this.amountInput?.value);
+    if (!amount) return;
+
+    this.amountInput.value = Math.round(taxDisplay.switchAmount(amount * 100, mode) / 100);
+
+    if (this.quotes.length && this.breakdownContainer?.style.display === 'block') {
+      this.calculatePayments();
+    }
   }
 
   openModal(triggerElement) {
@@ -64,7 +91,7 @@ class SilverchefCalculator {
 
     // Get product price from trigger element
     const productPrice = triggerElement.getAttribute('data-product-price');
-    const productAmount = Math.round(productPrice / 100); // Convert cents to dollars
+    const productAmount = Math.round(taxDisplay.convert(productPrice) / 100); // Convert cents to dollars
 
     // Initialize modal elements
     this.amountInput = this.modal.querySelector('#finance-amount');
@@ -73,6 +100,12 @@ class SilverchefCalculator {
     this.loadingContainer = this.modal.querySelector('#calculator-loading');
     this.breakdownContainer = this.modal.querySelector('#calculator-breakdown');
     this.errorContainer = this.modal.querySelector('#calculator-error');
+    this.termsContainer = this.modal.querySelector('#calculator-terms');
+
+    // Restore the term already saved on the cart
+    if (!this.selectedTerm && this.modal.dataset.selectedTerm) {
+      this.selectedTerm = parseInt(this.modal.dataset.selectedTerm);
+    }
 
     // Pre-fill the amount
     if (this.amountInput && productAmount >= 500) {
@@ -130,78 +163,106 @@ class SilverchefCalculator {
     this.showLoading();
 
     try {
-      // For now, use static calculation
-      // TODO: Replace with actual Silverchef API call
-      const results = this.calculateStaticPayments(amount);
-      
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      this.showResults(results);
-      
+      this.quotes = await this.provider.quoteTerms(amount);
+      if (!this.quotes.some((quote) => quote.term === this.selectedTerm)) {
+        this.selectedTerm = this.quotes[0].term;
+      }
+
+      this.showResults();
     } catch (error) {
       console.error('Calculator error:', error);
       this.showError('Unable to calculate payments. Please try again.');
     }
   }
 
-  calculateStaticPayments(amount) {
-    // Static calculation based on typical Silverchef rates
-    // TODO: Replace with actual API integration
-    
-    const weeklyPayment = Math.round(amount * 0.019 * 100) / 100;
-    const advancePayment = weeklyPayment;
-    const securityBond = Math.round(amount * 0.1 * 100) / 100;
-    const totalUpfront = advancePayment + securityBond;
-    const totalRent12Months = weeklyPayment * 52;
-    const outOfPocket = totalRent12Months; // Simplified calculation
-
-    return {
-      finance_amount: this.formatCurrency(amount),
-      weekly_amount: this.formatCurrency(weeklyPayment),
-      upfront_costs: {
-        total: this.formatCurrency(totalUpfront),
-        breakdown: {
-          advance_payment: this.formatCurrency(advancePayment),
-          bond: this.formatCurrency(securityBond)
-        }
-      },
-      totals: {
-        rent_after_12_months: this.formatCurrency(totalRent12Months),
-        out_of_pocket: this.formatCurrency(outOfPocket)
-      }
-    };
-  }
-
-  formatCurrency(amount) {
-    return new Intl.NumberFormat('en-AU', {
-      style: 'currency',
-      currency: 'AUD'
-    }).format(amount);
-  }
-
   showLoading() {
     this.hideAllResults();
     if (this.resultsContainer) this.resultsContainer.style.display = 'block';
     if (this.loadingContainer) this.loadingContainer.style.display = 'block';
   }
 
-  showResults(results) {
+  showResults() {
     this.hideAllResults();
     
     if (!this.resultsContainer || !this.breakdownContainer) return;
 
-    // Update result values
+    this.renderTerms();
+    this.renderBreakdown(this.getSelectedQuote());
+
+    // Show results
+    this.resultsContainer.style.display = 'block';
+    this.breakdownContainer.style.display = 'block';
+  }
+
+  getSelectedQuote() {
+    return this.quotes.find((quote) => quote.term === this.selectedTerm) || this.quotes[0];
+  }
+
+  renderTerms() {
+    if (!this.termsContainer) return;
+
+    this.termsContainer.innerHTML = this.quotes
+      .map((quote) => `
+        <tr class="silverchef-terms__row">
+          <td>
+            <label class="silverchef-terms__term">
+              <input
+                type="radio"
+                name="silverchef-term"
+                value="${quote.term}"
+                ${quote.term === this.selectedTerm ? 'checked' : ''}
+              >
+              ${quote.term} months
+            </label>
+          </td>
+          <td>${quote.weekly_amount}</td>
+          <td>${quote.monthly_amount}</td>
+          <td>${quote.totals.total_cost}</td>
+          <td>${quote.totals.buyout}</td>
+          <td>${quote.upfront_costs.breakdown.bond}</td>
+        </tr>
+      `)
+      .join('');
+  }
+
+  renderBreakdown(results) {
+    this.updateElement('#contract-title', `${results.term} Month Contract`);
     this.updateElement('#weekly-payment', results.weekly_amount);
     this.updateElement('#advance-payment', results.upfront_costs.breakdown.advance_payment);
     this.updateElement('#security-bond', results.upfront_costs.breakdown.bond);
     this.updateElement('#total-upfront', results.upfront_costs.total);
-    this.updateElement('#total-rent', results.totals.rent_after_12_months);
+    this.updateElement('#total-rent', results.totals.total_cost);
     this.updateElement('#out-of-pocket', results.totals.out_of_pocket);
+    this.updateElement('#buyout', results.totals.buyout);
+  }
 
-    // Show results
-    this.resultsContainer.style.display = 'block';
-    this.breakdownContainer.style.display = 'block';
+  selectTerm(term) {
+    this.selectedTerm = term;
+    this.renderBreakdown(this.getSelectedQuote());
+    this.saveTerm(term);
+  }
+
+  saveTerm(term) {
+    cartClient
+      .update(
+        { attributes: { [SILVERCHEF_TERM_ATTRIBUTE]: `${term} months` } },
+        { key: 'silverchef-term' }
+      )
+      .then((cart) => {
+        if (cart.status || cart.errors) {
+          throw new Error(cart.description || cart.errors || cart.status);
+        }
+
+        this.modal.dataset.selectedTerm = term;
+        this.updateElement('#calculator-term-status', `${term} month term saved to your cart.`);
+      })
+      .catch((error) => {
+        console.error('Calculator error:', error);
+        this.updateElement(
+          '#calculator-term-status',
+          `Your ${term} month term couldn't be saved to your cart. Please try again.`
+        );
+      });
   }
 
   showError(message) {
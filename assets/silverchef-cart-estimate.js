@@ -0,0 +1,95 @@
+if (!customElements.get("silverchef-cart-estimate")) {
+  customElements.define(
+    "silverchef-cart-estimate",
+    class SilverchefCartEstimate extends HTMLElement {
+      cartUpdateUnsubscriber = undefined;
+      taxDisplayChangeUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.provider = createSilverchefProvider();
+        this.minAmount = parseFloat(this.dataset.minAmount) || 500;
+        this.textElement = this.querySelector(
+          ".silverchef-cart-estimate__text",
+        );
+        this.renderId = 0;
+      }
+
+      connectedCallback() {
+        this.render(parseInt(this.dataset.cartTotal));
+        this.cartUpdateUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartUpdate,
+          this.onCartUpdate.bind(this),
+        );
+        this.taxDisplayChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.taxDisplayChange,
+          () => this.render(this.totalPrice),
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+        if (this.taxDisplayChangeUnsubscriber) {
+          this.taxDisplayChangeUnsubscriber();
+        }
+      }
+
+      onCartUpdate(event) {
+        const cartData = event.cartData;
+        const cart =
+          typeof cartData?.item_count === "number"
+            ? Promise.resolve(cartData)
+            : cartClient.get();
+
+        cart
+          .then((cart) => {
+            const term = cart.attributes?.[SILVERCHEF_TERM_ATTRIBUTE] || "";
+            this.dataset.term = parseInt(term) || "";
+            this.render(cart.total_price);
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      getTerm() {
+        const terms = this.provider.getTerms();
+        const term = parseInt(this.dataset.term);
+        return terms.includes(term) ? term : terms[0];
+      }
+
+      async render(totalPrice) {
+        const renderId = ++this.renderId;
+        const amount = taxDisplay.convert(totalPrice) / 100;
+
+        this.totalPrice = totalPrice;
+
+        this.hidden = !amount;
+        if (!amount) return;
+
+        if (amount < this.minAmount) {
+          this.textElement.textContent = this.dataset.minimumText.replace(
+            "[amount]",
+            this.provider.formatCurrency(this.minAmount - amount),
+          );
+          return;
+        }
+
+        try {
+          const quote = await this.provider.quote(amount, this.getTerm());
+          if (renderId !== this.renderId) return;
+
+          this.textElement.textContent = this.dataset.estimateText
+            .replace("[amount]", quote.weekly_amount)
+            .replace("[term]", quote.term);
+        } catch (e) {
+          console.error(e);
+          this.hidden = true;
+        }
+      }
+    },
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * Silverchef Finance Providers
+ * Adapters that turn a finance amount and term into a payment quote.
+ *
+ * Every provider implements `quote(amount, term)` and resolves with:
+ * {
+ *   term, finance_amount, weekly_amount, monthly_amount,
+ *   upfront_costs: { total, breakdown: { advance_payment, bond } },
+ *   totals: { rent_after_12_months, out_of_pocket, total_cost, buyout }
+ * }
+ */
+
+const SILVERCHEF_TERMS = [12, 24, 36, 48, 60];
+const SILVERCHEF_TERM_ATTRIBUTE = 'Silverchef finance term';
+
+class SilverchefFinanceProvider {
+  getTerms() {
+    return SILVERCHEF_TERMS;
+  }
+
+  async quote(amount, term) {
+    throw new Error('SilverchefFinanceProvider.quote() must be implemented');
+  }
+
+  quoteTerms(amount, terms = this.getTerms()) {
+    return Promise.all(terms.map((term) => this.quote(amount, term)));
+  }
+
+  formatCurrency(amount) {
+    return new Intl.NumberFormat('en-AU', {
+      style: 'currency',
+      currency: 'AUD'
+    }).format(amount);
+  }
+}
+
+/**
+ * Calculates quotes locally from the rate table in theme settings.
+ * Each line of the table is `months:weekly rate %:bond %:buyout %`,
+ * e.g. `12:1.9:10:10`. The buyout column is optional and defaults to 0.
+ */
+class SilverchefRateTableProvider extends SilverchefFinanceProvider {
+  constructor(rateTable = '') {
+    super();
+    this.rates = SilverchefRateTableProvider.parse(rateTable);
+  }
+
+  static parse(rateTable) {
+    return rateTable
+      .split(/\r?\n/)
+      .map((line) => line.split(':').map((value) => parseFloat(value)))
+      .filter(([term, weeklyRate, bondRate]) => term > 0 && weeklyRate > 0 && bondRate >= 0)
+      .map(([term, weeklyRate, bondRate, buyoutRate]) => ({
+        term,
+        weeklyRate: weeklyRate / 100,
+        bondRate: bondRate / 100,
+        buyoutRate: (buyoutRate || 0) / 100
+      }));
+  }
+
+  getTerms() {
+    return this.rates.map((rate) => rate.term);
+  }
+
+  getRate(term) {
+    return this.rates.find((rate) => rate.term === term);
+  }
+
+  async quote(amount, term = this.getTerms()[0]) {
+    const rate = this.getRate(term);
+    if (!rate) throw new Error(`No Silverchef rate configured for ${term} months`);
+
+    const weeklyPayment = Math.round(amount * rate.weeklyRate * 100) / 100;
+    const monthlyPayment = Math.round(((weeklyPayment * 52) / 12) * 100) / 100;
+    const advancePayment = weeklyPayment;
+    const securityBond = Math.round(amount * rate.bondRate * 100) / 100;
+    const totalUpfront = advancePayment + securityBond;
+    const totalRent12Months = Math.round(weeklyPayment * 52 * 100) / 100;
+    const totalCost = Math.round(((weeklyPayment * 52 * term) / 12) * 100) / 100;
+    // Rent over the whole term plus the bond, which is held until it ends
+    const outOfPocket = Math.round((totalCost + securityBond) * 100) / 100;
+    const buyout = Math.round(amount * rate.buyoutRate * 100) / 100;
+
+    return {
+      term,
+      finance_amount: this.formatCurrency(amount),
+      weekly_amount: this.formatCurrency(weeklyPayment),
+      monthly_amount: this.formatCurrency(monthlyPayment),
+      upfront_costs: {
+        total: this.formatCurrency(totalUpfront),
+        breakdown: {
+          advance_payment: this.formatCurrency(advancePayment),
+          bond: this.formatCurrency(securityBond)
+        }
+      },
+      totals: {
+        rent_after_12_months: this.formatCurrency(totalRent12Months),
+        out_of_pocket: this.formatCurrency(outOfPocket),
+        total_cost: this.formatCurrency(totalCost),
+        buyout: this.formatCurrency(buyout)
+      }
+    };
+  }
+}
+
+/**
+ * Requests quotes from an HTTP endpoint that answers with the quote shape above.
+ * Point it at a local stand-in (e.g. http://localhost:8787/quote) while the
+ * Silverchef API integration is being built.
+ */
+class SilverchefHttpProvider extends SilverchefFinanceProvider {
+  constructor(endpoint) {
+    super();
+    this.endpoint = endpoint;
+  }
+
+  async quote(amount, term = this.getTerms()[0]) {
+    if (!this.endpoint) throw new Error('No Silverchef endpoint configured');
+
+    const response = await fetch(this.endpoint, {
+      ...fetchConfig(),
+      body: JSON.stringify({ amount, term })
+    });
+
+    if (!response.ok) throw new Error(response.status);
+
+    const results = await response.json();
+    const requiredFields = [
+      results.weekly_amount,
+      results.monthly_amount,
+      results.upfront_costs?.total,
+      results.upfront_costs?.breakdown?.advance_payment,
+      results.upfront_costs?.breakdown?.bond,
+      results.totals?.total_cost,
+      results.totals?.out_of_pocket,
+      results.totals?.buyout
+    ];
+    if (requiredFields.some((field) => field === undefined || field === null)) {
+      throw new Error('Unexpected Silverchef quote response');
+    }
+
+    return { term, ...results };
+  }
+}
+
+function createSilverchefProvider(settings = window.silverchefSettings || {}) {
+  if (settings.provider === 'http') {
+    return new SilverchefHttpProvider(settings.endpoint);
+  }
+
+  return new SilverchefRateTableProvider(settings.rateTable);
+}
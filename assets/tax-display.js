@@ -0,0 +1,153 @@
+// Shows prices with or without GST. Liquid renders prices the way the store
+// enters them; elements with a data-tax-amount (in cents) are rewritten for
+// the visitor's choice, including ones added later by section rendering.
+// An optional data-tax-format names a window.moneyFormats entry.
+class TaxDisplay {
+  static STORAGE_KEY = "taxDisplay";
+  static INCLUSIVE = "inclusive";
+  static EXCLUSIVE = "exclusive";
+
+  constructor(settings = window.taxSettings || {}) {
+    this.rate = parseFloat(settings.rate) || 0;
+    this.taxesIncluded = settings.taxesIncluded !== false;
+    this.mode =
+      this.getStoredMode() ||
+      (settings.defaultDisplay === TaxDisplay.EXCLUSIVE
+        ? TaxDisplay.EXCLUSIVE
+        : TaxDisplay.INCLUSIVE);
+
+    document.documentElement.dataset.taxDisplay = this.mode;
+    if (this.isConverting()) this.apply();
+
+    new MutationObserver((mutations) => {
+      if (!this.isConverting()) return;
+
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) this.apply(node);
+        });
+      });
+    }).observe(document.body, { childList: true, subtree: true });
+  }
+
+  getStoredMode() {
+    try {
+      const mode = localStorage.getItem(TaxDisplay.STORAGE_KEY);
+      return [TaxDisplay.INCLUSIVE, TaxDisplay.EXCLUSIVE].includes(mode)
+        ? mode
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setMode(mode) {
+    if (mode === this.mode) return;
+
+    this.mode = mode;
+    try {
+      localStorage.setItem(TaxDisplay.STORAGE_KEY, mode);
+    } catch (e) {
+      console.error(e);
+    }
+
+    document.documentElement.dataset.taxDisplay = mode;
+    this.apply();
+    publish(PUB_SUB_EVENTS.taxDisplayChange, { mode });
+  }
+
+  // Whether prices rendered by Liquid need rewriting for the current mode.
+  isConverting() {
+    return this.taxesIncluded !== (this.mode === TaxDisplay.INCLUSIVE);
+  }
+
+  // Store price in cents to the price shown for the current mode.
+  convert(cents) {
+    const multiplier = 1 + this.rate / 100;
+
+    if (!this.isConverting()) return cents;
+    return Math.round(
+      this.taxesIncluded ? cents / multiplier : cents * multiplier,
+    );
+  }
+
+  // Shown price in cents back to the store price, e.g. for filter values.
+  revert(cents) {
+    const multiplier = 1 + this.rate / 100;
+
+    if (!this.isConverting()) return cents;
+    return Math.round(
+      this.taxesIncluded ? cents * multiplier : cents / multiplier,
+    );
+  }
+
+  // An amount the visitor entered while the other mode was shown, in `mode`.
+  switchAmount(cents, mode) {
+    const multiplier = 1 + this.rate / 100;
+
+    return Math.round(
+      mode === TaxDisplay.EXCLUSIVE ? cents / multiplier : cents * multiplier,
+    );
+  }
+
+  formatMoney(cents, format) {
+    return formatMoney(this.convert(cents), format);
+  }
+
+  render(element, cents) {
+    element.dataset.taxAmount = cents;
+    element.textContent = this.formatMoney(
+      cents,
+      window.moneyFormats?.[element.dataset.taxFormat],
+    );
+  }
+
+  apply(root = document) {
+    const elements = [...root.querySelectorAll("[data-tax-amount]")];
+    if (root.matches?.("[data-tax-amount]")) elements.push(root);
+
+    elements.forEach((element) => {
+      const cents = parseInt(element.dataset.taxAmount);
+      if (!Number.isNaN(cents)) this.render(element, cents);
+    });
+  }
+}
+
+window.taxDisplay = new TaxDisplay();
+
+if (!customElements.get("tax-display-toggle")) {
+  customElements.define(
+    "tax-display-toggle",
+    class TaxDisplayToggle extends HTMLElement {
+      taxDisplayChangeUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.addEventListener("change", (event) => {
+          taxDisplay.setMode(event.target.value);
+        });
+      }
+
+      connectedCallback() {
+        this.update();
+        this.taxDisplayChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.taxDisplayChange,
+          this.update.bind(this),
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.taxDisplayChangeUnsubscriber) {
+          this.taxDisplayChangeUnsubscriber();
+        }
+      }
+
+      update() {
+        this.querySelectorAll("input").forEach((input) => {
+          input.checked = input.value === taxDisplay.mode;
+        });
+      }
+    },
+  );
+}
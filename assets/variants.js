@@ -274,10 +274,19 @@ if (!customElements.get("variant-options")) {
             const inventoryDestination = document.getElementById(
               `Inventory-${this.dataset.section}`,
             );
+            const quantityBreaksSource = html.getElementById(
+              `QuantityBreaks-${this.dataset.originalSection ? this.dataset.originalSection : this.dataset.section}`,
+            );
+            const quantityBreaksDestination = document.getElementById(
+              `QuantityBreaks-${this.dataset.section}`,
+            );
 
             if (source && destination) destination.innerHTML = source.innerHTML;
             if (inventorySource && inventoryDestination)
               inventoryDestination.innerHTML = inventorySource.innerHTML;
+            if (quantityBreaksSource && quantityBreaksDestination)
+              quantityBreaksDestination.innerHTML =
+                quantityBreaksSource.innerHTML;
             if (skuSource && skuDestination) {
               skuDestination.innerHTML = skuSource.innerHTML;
               skuDestination.classList.toggle(
@@ -307,6 +316,14 @@ if (!customElements.get("variant-options")) {
                 : true,
               window.variantStrings.soldOut,
             );
+
+            publish(PUB_SUB_EVENTS.variantChange, {
+              data: {
+                sectionId,
+                html,
+                variant: this.currentVariant,
+              },
+            });
           });
       }
 